@@ -1,7 +1,4 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-import * as THREE from "three";
-import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
-import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import {
   Client,
   Account,
@@ -12,16 +9,82 @@ import {
   Permission,
   Role,
 } from "appwrite";
-
-const currencyFormatter = new Intl.NumberFormat("en-CA", {
-  style: "currency",
-  currency: "CAD",
-});
-
-const numberFormatter = new Intl.NumberFormat("en-US", {
-  minimumFractionDigits: 2,
-  maximumFractionDigits: 2,
-});
+import { itemScaleFactors, priceProject, unitToMm } from "./pricing.js";
+import { buildAxes, defaultSupportSettings } from "./supports.js";
+import { supportedExtensions } from "./loaders.js";
+import { slicedExtensions } from "./sliced.js";
+import {
+  contentHash,
+  geometryDocumentFields,
+  geometryFromPositions,
+} from "./geometry.js";
+import { createGeometryWorkerPool } from "./geometryWorkerPool.js";
+import { buildQuote, defaultQuoteSettings, taxRegions } from "./quote.js";
+import {
+  createModelView,
+  createPlateLayoutObject,
+  createSectionObject,
+  mountPreview,
+  renderThumbnail,
+} from "./preview.js";
+import {
+  downloadFile,
+  estimateToCsv,
+  estimateToJson,
+  quoteToHtml,
+} from "./exporters.js";
+import {
+  duplicateProjectName,
+  projectDocumentFields,
+  projectMaterialPrice,
+  projectSettingsFromDocument,
+} from "./projects.js";
+import {
+  convertToUserCurrency,
+  createFormatters,
+  currencies,
+  currencyPrefs,
+  currencySettingsFromPrefs,
+  defaultCurrencySettings,
+  locales,
+} from "./currency.js";
+import {
+  checkAvailability,
+  consumptionKey,
+  isLowStock,
+  jobConsumption,
+  planDeduction,
+  stockMaterialKey,
+  stockUnit,
+} from "./inventory.js";
+import { batchUnitCost, costingMethods, materialBatches } from "./costing.js";
+import { defaultHollowSettings, hollowShell } from "./hollowing.js";
+import { defaultHeatmapSettings, thinFaceCount } from "./heatmap.js";
+import {
+  orientationCandidates,
+  orientationLabel,
+  orientedSize,
+  sameOrientation,
+} from "./orientation.js";
+import {
+  defaultFdmSettings,
+  fdmLayerCount,
+  infillPatterns,
+} from "./fdm.js";
+import {
+  defaultTariffSettings,
+  locationTariffPrefs,
+  savedLocationTariff,
+  tariffPeriods,
+  tariffPresets,
+} from "./tariffs.js";
+import {
+  defaultPrinterProfile,
+  printerDocumentFields,
+  profileFromPrinterDocument,
+} from "./printTime.js";
+import { skippedFieldsNote, writeOptionalFields } from "./documents.js";
+import { downloadStorageFile } from "./storageFiles.js";
 
 function CustomSelect({ value, onChange, options, placeholder, disabled }) {
   const [open, setOpen] = useState(false);
@@ -79,38 +142,468 @@ function CustomSelect({ value, onChange, options, placeholder, disabled }) {
   );
 }
 
-function volumeFromGeometryMm3(geometry) {
-  const position = geometry.getAttribute("position");
-  if (!position) return 0;
-
-  const index = geometry.getIndex();
-  const v0 = new THREE.Vector3();
-  const v1 = new THREE.Vector3();
-  const v2 = new THREE.Vector3();
-  let volume = 0;
-
-  if (index) {
-    for (let i = 0; i < index.count; i += 3) {
-      const a = index.getX(i);
-      const b = index.getX(i + 1);
-      const c = index.getX(i + 2);
-      v0.fromBufferAttribute(position, a);
-      v1.fromBufferAttribute(position, b);
-      v2.fromBufferAttribute(position, c);
-      volume += v0.dot(v1.clone().cross(v2));
-    }
-  } else {
-    for (let i = 0; i < position.count; i += 3) {
-      v0.fromBufferAttribute(position, i);
-      v1.fromBufferAttribute(position, i + 1);
-      v2.fromBufferAttribute(position, i + 2);
-      volume += v0.dot(v1.clone().cross(v2));
-    }
+// Pause after the last settings change before geometry work starts again.
+const geometryTaskDelayMs = 400;
+
+const geometryIds = new WeakMap();
+let nextGeometryId = 0;
+
+function geometryId(geometry) {
+  if (!geometryIds.has(geometry)) {
+    geometryIds.set(geometry, nextGeometryId);
+    nextGeometryId += 1;
   }
+  return geometryIds.get(geometry);
+}
+
+// Runs one of the geometryTasks in the worker pool for every request
+// ({ geometry, key, options }; null for rows that need none). Results come
+// back in request order, undefined while pending and null if the task
+// failed. Each geometry keeps its result for the last key it ran with, so
+// only rows whose key changed are worked on again.
+function useGeometryTasks(poolRef, task, requests) {
+  const cacheRef = useRef(new WeakMap());
+  const [version, setVersion] = useState(0);
+  const isDone = (request) =>
+    cacheRef.current.get(request.geometry)?.key === request.key;
+  const requestKey = requests
+    .map((request) =>
+      request ? `${geometryId(request.geometry)}:${request.key}` : ""
+    )
+    .join(";");
+
+  useEffect(() => {
+    const pending = requests.filter((request) => request && !isDone(request));
+    if (!pending.length) return;
+    if (!poolRef.current) poolRef.current = createGeometryWorkerPool();
+    const pool = poolRef.current;
+    const jobs = [];
+    const timer = setTimeout(() => {
+      pending.forEach((request) => {
+        const job = pool.runTask(task, {
+          positions: request.geometry.getAttribute("position").array,
+          options: request.options,
+        });
+        jobs.push(job);
+        const store = (value) => {
+          cacheRef.current.set(request.geometry, { key: request.key, value });
+          setVersion((prev) => prev + 1);
+        };
+        job.promise.then(store, (error) => {
+          if (error?.name !== "AbortError") store(null);
+        });
+      });
+    }, geometryTaskDelayMs);
+    return () => {
+      clearTimeout(timer);
+      jobs.forEach((job) => pool.cancel(job.id));
+    };
+  }, [requestKey]);
+
+  return useMemo(
+    () =>
+      requests.map((request) =>
+        request && isDone(request)
+          ? cacheRef.current.get(request.geometry).value
+          : undefined
+      ),
+    [requestKey, version]
+  );
+}
+
+function pendingCount(requests, values) {
+  return requests.filter(
+    (request, index) => request && values[index] === undefined
+  ).length;
+}
+
+const defaultItemSettings = {
+  quantity: 1,
+  uniformScale: true,
+  scale: { x: 100, y: 100, z: 100 },
+  unit: "mm",
+  materialId: "",
+  orientation: null,
+};
+
+function scaleFromSettings(settings) {
+  return [
+    settings.scale.x / 100,
+    settings.scale.y / 100,
+    settings.scale.z / 100,
+  ];
+}
+
+// A row's own orientation (an up vector picked in the preview) wins over the
+// job's build axis.
+function itemUp(settings, buildAxis) {
+  return settings.orientation ?? buildAxes[buildAxis] ?? buildAxes["+z"];
+}
+
+function ItemControls({ settings, onChange, materialOptions, fixedSize }) {
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const updateScale = (axis, value) =>
+    update({
+      scale: settings.uniformScale
+        ? { x: value, y: value, z: value }
+        : { ...settings.scale, [axis]: value },
+    });
+
+  return (
+    <div className="item-controls">
+      <label>
+        Qty
+        <input
+          type="number"
+          min="1"
+          step="1"
+          value={settings.quantity}
+          onChange={(event) =>
+            update({ quantity: Math.max(Number(event.target.value), 1) })
+          }
+        />
+      </label>
+      {!fixedSize && (
+        <>
+          <label>
+            Unit
+            <select
+              value={settings.unit}
+              onChange={(event) => update({ unit: event.target.value })}
+            >
+              {Object.keys(unitToMm).map((unit) => (
+                <option key={unit} value={unit}>
+                  {unit}
+                </option>
+              ))}
+            </select>
+          </label>
+          {settings.uniformScale ? (
+            <label>
+              Scale (%)
+              <input
+                type="number"
+                min="1"
+                step="5"
+                value={settings.scale.x}
+                onChange={(event) =>
+                  updateScale("x", Number(event.target.value))
+                }
+              />
+            </label>
+          ) : (
+            ["x", "y", "z"].map((axis) => (
+              <label key={axis}>
+                {axis.toUpperCase()} (%)
+                <input
+                  type="number"
+                  min="1"
+                  step="5"
+                  value={settings.scale[axis]}
+                  onChange={(event) =>
+                    updateScale(axis, Number(event.target.value))
+                  }
+                />
+              </label>
+            ))
+          )}
+        </>
+      )}
+      {materialOptions.length > 0 && (
+        <label>
+          Material
+          <select
+            value={settings.materialId ?? ""}
+            onChange={(event) => update({ materialId: event.target.value })}
+          >
+            <option value="">Job material</option>
+            {materialOptions.map((option) => (
+              <option key={option.key} value={option.key}>
+                {option.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {!fixedSize && (
+        <label className="toggle">
+          <input
+            type="checkbox"
+            checked={settings.uniformScale}
+            onChange={(event) =>
+              update({
+                uniformScale: event.target.checked,
+                scale: event.target.checked
+                  ? {
+                      x: settings.scale.x,
+                      y: settings.scale.x,
+                      z: settings.scale.x,
+                    }
+                  : settings.scale,
+              })
+            }
+          />
+          Uniform
+        </label>
+      )}
+    </div>
+  );
+}
+
+function OrientationProposal({
+  candidates,
+  currentUp,
+  numberFormatter,
+  onAccept,
+}) {
+  const best = candidates[0];
+  const current = candidates.find((candidate) =>
+    sameOrientation(candidate.up, currentUp)
+  );
+  const describe = (candidate) =>
+    `overhang ${numberFormatter.format(candidate.overhangAreaMm2)} mm² · ` +
+    `height ${numberFormatter.format(candidate.height)} mm · ` +
+    `footprint ${numberFormatter.format(candidate.footprintMm2)} mm²`;
+
+  return (
+    <div className="orientation-proposal">
+      <p className="hint">
+        Best: <strong>{best.label} up</strong> · {describe(best)}
+      </p>
+      {current && current !== best && (
+        <p className="hint">
+          Current: {current.label} up · {describe(current)}
+        </p>
+      )}
+      <button
+        type="button"
+        className="primary"
+        onClick={() => onAccept(best.up)}
+        disabled={sameOrientation(best.up, currentUp)}
+      >
+        Accept
+      </button>
+    </div>
+  );
+}
+
+const fdmSettingFields = [
+  { key: "perimeters", label: "Perimeters", step: "1" },
+  { key: "lineWidth", label: "Line width (mm)", step: "0.05" },
+  { key: "layerHeight", label: "FDM layer height (mm)", step: "0.05" },
+  { key: "topLayers", label: "Top layers", step: "1" },
+  { key: "bottomLayers", label: "Bottom layers", step: "1" },
+];
+
+const printerProfileFields = [
+  {
+    key: "layerHeight",
+    label: "Layer height (mm)",
+    step: "0.01",
+    group: "resin",
+  },
+  {
+    key: "exposureSeconds",
+    label: "Exposure (s)",
+    step: "0.1",
+    group: "resin",
+  },
+  {
+    key: "bottomExposureSeconds",
+    label: "Bottom exposure (s)",
+    step: "1",
+    group: "resin",
+  },
+  {
+    key: "bottomLayers",
+    label: "Bottom layers",
+    step: "1",
+    group: "resin",
+  },
+  {
+    key: "liftDistance",
+    label: "Lift distance (mm)",
+    step: "0.5",
+    group: "resin",
+  },
+  {
+    key: "liftSpeed",
+    label: "Lift speed (mm/min)",
+    step: "10",
+    group: "resin",
+  },
+  {
+    key: "retractSpeed",
+    label: "Retract speed (mm/min)",
+    step: "10",
+    group: "resin",
+  },
+  {
+    key: "flowRate",
+    label: "FDM flow rate (mm³/s)",
+    step: "0.5",
+    group: "filament",
+  },
+  {
+    key: "buildWidth",
+    label: "Build width (mm)",
+    step: "1",
+    group: "build",
+  },
+  {
+    key: "buildDepth",
+    label: "Build depth (mm)",
+    step: "1",
+    group: "build",
+  },
+  {
+    key: "buildHeight",
+    label: "Build height (mm)",
+    step: "1",
+    group: "build",
+  },
+  {
+    key: "powerWatts",
+    label: "Power (W)",
+    step: "5",
+    group: "power",
+  },
+  {
+    key: "purchasePrice",
+    label: "Purchase price",
+    step: "50",
+    group: "machine",
+  },
+  {
+    key: "lifetimeHours",
+    label: "Expected lifetime (h)",
+    step: "100",
+    group: "machine",
+  },
+];
+
+function PrinterProfileFields({ profile, onChange, groups }) {
+  return printerProfileFields
+    .filter((field) => !groups || groups.includes(field.group))
+    .map((field) => (
+      <label key={field.key}>
+        {field.label}
+        <input
+          type="number"
+          min="0"
+          step={field.step}
+          value={profile[field.key]}
+          onChange={(event) =>
+            onChange({ ...profile, [field.key]: Number(event.target.value) })
+          }
+        />
+      </label>
+    ));
+}
+
+function ConsumablesFields({ consumables, onChange }) {
+  const update = (index, patch) =>
+    onChange(
+      consumables.map((part, partIndex) =>
+        partIndex === index ? { ...part, ...patch } : part
+      )
+    );
+
+  return (
+    <div className="consumables">
+      <span>Consumables</span>
+      {consumables.map((part, index) => (
+        <div className="item-controls" key={index}>
+          <label>
+            Part
+            <input
+              type="text"
+              value={part.name}
+              placeholder="e.g. FEP film"
+              onChange={(event) => update(index, { name: event.target.value })}
+            />
+          </label>
+          <label>
+            Cost
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={part.cost}
+              onChange={(event) =>
+                update(index, { cost: Number(event.target.value) })
+              }
+            />
+          </label>
+          <label>
+            Every (h)
+            <input
+              type="number"
+              min="0"
+              step="10"
+              value={part.intervalHours}
+              onChange={(event) =>
+                update(index, { intervalHours: Number(event.target.value) })
+              }
+            />
+          </label>
+          <button
+            type="button"
+            className="ghost danger"
+            onClick={() =>
+              onChange(consumables.filter((_, partIndex) => partIndex !== index))
+            }
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="ghost"
+        onClick={() =>
+          onChange([...consumables, { name: "", cost: 0, intervalHours: 100 }])
+        }
+      >
+        Add consumable
+      </button>
+    </div>
+  );
+}
 
-  return Math.abs(volume / 6);
+function libraryLabel(label, item) {
+  return item.archived ? `${label} (archived)` : label;
 }
 
+function LibraryItemActions({ item, disabled, onArchive, onDelete }) {
+  if (!item) return null;
+  return (
+    <div className="table-actions">
+      <button
+        type="button"
+        className="ghost"
+        onClick={() => onArchive(!item.archived)}
+        disabled={disabled}
+      >
+        {item.archived ? "Restore" : "Archive"}
+      </button>
+      <button
+        type="button"
+        className="ghost danger"
+        onClick={onDelete}
+        disabled={disabled}
+      >
+        Delete
+      </button>
+    </div>
+  );
+}
+
+const currencyOptions = currencies.map((item) => ({
+  value: item.code,
+  label: item.label,
+}));
+
 const appwriteConfig = {
   endpoint: import.meta.env.VITE_APPWRITE_ENDPOINT || "",
   projectId: import.meta.env.VITE_APPWRITE_PROJECT_ID || "",
@@ -123,9 +616,27 @@ const appwriteConfig = {
     import.meta.env.VITE_APPWRITE_FILAMENTS_COLLECTION_ID || "",
   uploadsCollectionId:
     import.meta.env.VITE_APPWRITE_UPLOADS_COLLECTION_ID || "",
+  projectsCollectionId:
+    import.meta.env.VITE_APPWRITE_PROJECTS_COLLECTION_ID || "",
+  stockCollectionId: import.meta.env.VITE_APPWRITE_STOCK_COLLECTION_ID || "",
   bucketId: import.meta.env.VITE_APPWRITE_BUCKET_ID || "",
 };
 
+// Comes back as a File for the parsing pipeline.
+async function downloadUpload(storage, upload) {
+  let blob;
+  try {
+    blob = await downloadStorageFile(
+      storage,
+      appwriteConfig.bucketId,
+      upload.file_id
+    );
+  } catch (error) {
+    throw new Error(`Could not download ${upload.file_name}.`);
+  }
+  return new File([blob], upload.file_name, { type: blob.type });
+}
+
 export default function App() {
   const [user, setUser] = useState(null);
   const [appwriteReady, setAppwriteReady] = useState(true);
@@ -137,33 +648,64 @@ export default function App() {
   const [resins, setResins] = useState([]);
   const [filaments, setFilaments] = useState([]);
   const [uploads, setUploads] = useState([]);
+  const [selectedUploadIds, setSelectedUploadIds] = useState([]);
+  const [downloadMessage, setDownloadMessage] = useState("");
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [showArchivedUploads, setShowArchivedUploads] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [stockItems, setStockItems] = useState([]);
+  const [costingMethod, setCostingMethod] = useState("latest");
+  const [deductedJobKey, setDeductedJobKey] = useState("");
+  const [materialUsage, setMaterialUsage] = useState({});
+  // Material prices of the saved, opened or confirmed estimate. Picking
+  // another job material or other files starts a new estimate and clears them.
+  const [pinnedPrices, setPinnedPrices] = useState({});
+  const [isDeducting, setIsDeducting] = useState(false);
+  const [newStock, setNewStock] = useState({
+    materialKey: "",
+    label: "",
+    quantity: 1000,
+    purchaseDate: new Date().toISOString().slice(0, 10),
+    cost: 0,
+  });
+  const [projectName, setProjectName] = useState("");
+  const [activeProjectId, setActiveProjectId] = useState("");
+  // True for the render that applies an opened project, so the effects that
+  // copy printer, material and location tariff values from the library leave
+  // the saved ones alone.
+  const [applyingProject, setApplyingProject] = useState(false);
   const [newPrinter, setNewPrinter] = useState({
     name: "",
     model: "",
     notes: "",
+    profile: defaultPrinterProfile,
   });
   const [editPrinterId, setEditPrinterId] = useState("");
   const [editPrinter, setEditPrinter] = useState({
     name: "",
     model: "",
     notes: "",
+    profile: defaultPrinterProfile,
   });
   const [newResin, setNewResin] = useState({
     brand: "",
     model: "",
     pricePerLiter: 200,
+    currency: "",
   });
   const [editResinId, setEditResinId] = useState("");
   const [editResin, setEditResin] = useState({
     brand: "",
     model: "",
     pricePerLiter: 200,
+    currency: "",
   });
   const [newFilament, setNewFilament] = useState({
     brand: "",
     material: "",
     pricePerKg: 25,
     density: 1.24,
+    currency: "",
   });
   const [editFilamentId, setEditFilamentId] = useState("");
   const [editFilament, setEditFilament] = useState({
@@ -171,6 +713,7 @@ export default function App() {
     material: "",
     pricePerKg: 25,
     density: 1.24,
+    currency: "",
   });
   const [selectedResinId, setSelectedResinId] = useState("");
   const [selectedFilamentId, setSelectedFilamentId] = useState("");
@@ -183,27 +726,76 @@ export default function App() {
   const [filamentDensity, setFilamentDensity] = useState(1.24);
   const [infillPercent, setInfillPercent] = useState(20);
   const [shellFactor, setShellFactor] = useState(0.15);
+  const [fdmSettings, setFdmSettings] = useState(defaultFdmSettings);
   const [energyRate, setEnergyRate] = useState(0.2);
   const [printerPower, setPrinterPower] = useState(50);
   const [printHours, setPrintHours] = useState(2);
+  const [timeMode, setTimeMode] = useState("manual");
+  const [printerProfile, setPrinterProfile] = useState(defaultPrinterProfile);
   const [includeEnergy, setIncludeEnergy] = useState(true);
+  const [tariffSettings, setTariffSettings] = useState(defaultTariffSettings);
   const [files, setFiles] = useState([]);
   const [results, setResults] = useState([]);
+  const [itemSettings, setItemSettings] = useState({});
   const [isLoading, setIsLoading] = useState(false);
+  const [fileProgress, setFileProgress] = useState([]);
+  const [parsedGeometries, setParsedGeometries] = useState([]);
   const [uploadMessage, setUploadMessage] = useState("");
   const [uploadMessageType, setUploadMessageType] = useState("status");
   const [supportPercent, setSupportPercent] = useState(20);
   const [includeSupports, setIncludeSupports] = useState(true);
+  const [supportMode, setSupportMode] = useState("percent");
+  const [supportSettings, setSupportSettings] = useState(
+    defaultSupportSettings
+  );
+  const [buildAxis, setBuildAxis] = useState("+z");
+  const [hollowSettings, setHollowSettings] = useState(defaultHollowSettings);
   const [costMode, setCostMode] = useState("per_stl");
   const [inputMode, setInputMode] = useState("upload");
   const [manualName, setManualName] = useState("Manual estimate");
   const [manualResinMl, setManualResinMl] = useState(0);
   const [manualFilamentGrams, setManualFilamentGrams] = useState(0);
+  const [slicedFiles, setSlicedFiles] = useState([]);
   const [selectedPreviewIndex, setSelectedPreviewIndex] = useState(0);
   const [previewGeometry, setPreviewGeometry] = useState(null);
   const [previewError, setPreviewError] = useState("");
+  const [previewMode, setPreviewMode] = useState("model");
+  const [sectionPercent, setSectionPercent] = useState(50);
+  const [orientationProposal, setOrientationProposal] = useState(null);
+  const [scoringOrientation, setScoringOrientation] = useState("");
+  const [showDimensions, setShowDimensions] = useState(true);
+  const [clipSettings, setClipSettings] = useState({
+    enabled: false,
+    axis: "y",
+    percent: 100,
+  });
+  const [measureEnabled, setMeasureEnabled] = useState(false);
+  const [measuredDistance, setMeasuredDistance] = useState(null);
+  const [heatmapSettings, setHeatmapSettings] = useState(
+    defaultHeatmapSettings
+  );
+  // The field as typed; minWallMm only takes values above zero.
+  const [minWallInput, setMinWallInput] = useState(
+    String(defaultHeatmapSettings.minWallMm)
+  );
+  const [quoteSettings, setQuoteSettings] = useState(defaultQuoteSettings);
+  const [selectedPlateIndex, setSelectedPlateIndex] = useState(0);
+  const [currencySettings, setCurrencySettings] = useState(
+    defaultCurrencySettings
+  );
+  const { currencyFormatter, numberFormatter } = useMemo(
+    () => createFormatters(currencySettings),
+    [currencySettings]
+  );
   const previewRef = useRef(null);
+  const modelViewRef = useRef(null);
+  const measureEnabledRef = useRef(false);
   const appwriteRef = useRef(null);
+  const workerPoolRef = useRef(null);
+  const parseJobsRef = useRef([]);
+  const orientationJobRef = useRef(null);
+  // Last oriented size per geometry, tagged with its orientation and scale.
+  const orientedSizeCacheRef = useRef(new WeakMap());
 
   useEffect(() => {
     const missing = [];
@@ -218,6 +810,10 @@ export default function App() {
       missing.push("VITE_APPWRITE_FILAMENTS_COLLECTION_ID");
     if (!appwriteConfig.uploadsCollectionId)
       missing.push("VITE_APPWRITE_UPLOADS_COLLECTION_ID");
+    if (!appwriteConfig.projectsCollectionId)
+      missing.push("VITE_APPWRITE_PROJECTS_COLLECTION_ID");
+    if (!appwriteConfig.stockCollectionId)
+      missing.push("VITE_APPWRITE_STOCK_COLLECTION_ID");
     if (!appwriteConfig.bucketId) missing.push("VITE_APPWRITE_BUCKET_ID");
 
     if (missing.length > 0) {
@@ -264,13 +860,21 @@ export default function App() {
       setResins([]);
       setFilaments([]);
       setUploads([]);
+      setProjects([]);
+      setStockItems([]);
       return;
     }
 
     async function loadData() {
       try {
-        const [printersData, resinsData, filamentsData, uploadsData] =
-          await Promise.all([
+        const [
+          printersData,
+          resinsData,
+          filamentsData,
+          uploadsData,
+          projectsData,
+          stockData,
+        ] = await Promise.all([
           appwriteRef.current.databases.listDocuments(
             appwriteConfig.databaseId,
             appwriteConfig.printersCollectionId,
@@ -291,12 +895,24 @@ export default function App() {
             appwriteConfig.uploadsCollectionId,
             [Query.orderDesc("$createdAt")]
           ),
+          appwriteRef.current.databases.listDocuments(
+            appwriteConfig.databaseId,
+            appwriteConfig.projectsCollectionId,
+            [Query.orderDesc("$createdAt")]
+          ),
+          appwriteRef.current.databases.listDocuments(
+            appwriteConfig.databaseId,
+            appwriteConfig.stockCollectionId,
+            [Query.orderDesc("$createdAt")]
+          ),
         ]);
 
         setPrinters(printersData.documents ?? []);
         setResins(resinsData.documents ?? []);
         setFilaments(filamentsData.documents ?? []);
         setUploads(uploadsData.documents ?? []);
+        setProjects(projectsData.documents ?? []);
+        setStockItems(stockData.documents ?? []);
       } catch (error) {
         setStatusMessage(error.message || "Could not load data.");
       }
@@ -306,49 +922,176 @@ export default function App() {
   }, [user]);
 
   useEffect(() => {
-    if (inputMode !== "upload") {
-      setResults([]);
-      setSelectedPreviewIndex(0);
-      return;
+    setCurrencySettings(currencySettingsFromPrefs(user?.prefs));
+  }, [user]);
+
+  useEffect(() => {
+    if (applyingProject) return;
+    const saved = savedLocationTariff(user?.prefs, location);
+    if (saved) {
+      setTariffSettings((prev) => ({ ...prev, ...saved }));
     }
-    if (!files.length) {
+  }, [user, location]);
+
+  useEffect(() => {
+    return () => workerPoolRef.current?.terminate();
+  }, []);
+
+  useEffect(() => {
+    if (inputMode !== "upload" || !files.length) {
       setResults([]);
+      setParsedGeometries([]);
+      setFileProgress([]);
+      setIsLoading(false);
       setSelectedPreviewIndex(0);
       return;
     }
 
     let cancelled = false;
-    const loader = new STLLoader();
+    if (!workerPoolRef.current) {
+      workerPoolRef.current = createGeometryWorkerPool();
+    }
+    const pool = workerPoolRef.current;
 
-    async function parseFiles() {
-      setIsLoading(true);
-      const next = [];
+    setIsLoading(true);
+    setParsedGeometries([]);
+    setFileProgress(
+      files.map((file) => ({ name: file.name, stage: "queued" }))
+    );
+
+    const updateStage = (index, stage) => {
+      if (cancelled) return;
+      setFileProgress((prev) =>
+        prev.map((entry, entryIndex) =>
+          entryIndex === index ? { ...entry, stage } : entry
+        )
+      );
+    };
+    const jobs = files.map((file, index) => {
+      const job = pool.run(file, (stage) => updateStage(index, stage));
+      job.promise.then(
+        () => updateStage(index, "done"),
+        (error) =>
+          updateStage(
+            index,
+            error?.name === "AbortError" ? "cancelled" : "failed"
+          )
+      );
+      return job;
+    });
+    parseJobsRef.current = jobs;
 
-      for (const file of files) {
-        try {
-          const buffer = await file.arrayBuffer();
-          const geometry = loader.parse(buffer);
-          const volumeMm3 = volumeFromGeometryMm3(geometry);
-          next.push({ name: file.name, volumeMm3 });
-        } catch (error) {
-          next.push({
-            name: file.name,
-            error: "Could not read STL.",
-          });
+    Promise.allSettled(jobs.map((job) => job.promise)).then((outcomes) => {
+      if (cancelled) return;
+      const next = [];
+      const geometries = [];
+      outcomes.forEach((outcome, index) => {
+        const name = files[index].name;
+        if (outcome.status === "fulfilled") {
+          next.push({ name, ...outcome.value.summary });
+          geometries.push(geometryFromPositions(outcome.value.positions));
+          return;
         }
-      }
+        const wasCancelled = outcome.reason?.name === "AbortError";
+        next.push({
+          name,
+          error: wasCancelled ? "Cancelled." : "Could not read file.",
+        });
+        geometries.push(null);
+      });
+      setResults(next);
+      setParsedGeometries(geometries);
+      setIsLoading(false);
+    });
 
-      if (!cancelled) {
-        setResults(next);
-        setIsLoading(false);
-      }
+    return () => {
+      cancelled = true;
+      jobs.forEach((job) => pool.cancel(job.id));
+    };
+  }, [files, inputMode]);
+
+  function updateQuoteSetting(key, value) {
+    setQuoteSettings((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function handleCancelParsing() {
+    const pool = workerPoolRef.current;
+    if (!pool) return;
+    parseJobsRef.current.forEach((job) => pool.cancel(job.id));
+  }
+
+  useEffect(() => {
+    if (inputMode !== "sliced") return;
+    let cancelled = false;
+    if (!workerPoolRef.current) {
+      workerPoolRef.current = createGeometryWorkerPool();
     }
+    const pool = workerPoolRef.current;
+
+    setIsLoading(slicedFiles.length > 0);
+    setFileProgress(
+      slicedFiles.map((file) => ({ name: file.name, stage: "queued" }))
+    );
+    const updateStage = (index, stage) => {
+      if (cancelled) return;
+      setFileProgress((prev) =>
+        prev.map((entry, entryIndex) =>
+          entryIndex === index ? { ...entry, stage } : entry
+        )
+      );
+    };
+    const jobs = slicedFiles.map((file, index) => {
+      const job = pool.runTask("sliced", { file }, (stage) =>
+        updateStage(index, stage)
+      );
+      job.promise.then(
+        () => updateStage(index, "done"),
+        (error) =>
+          updateStage(
+            index,
+            error?.name === "AbortError" ? "cancelled" : "failed"
+          )
+      );
+      return job;
+    });
+    parseJobsRef.current = jobs;
 
-    parseFiles();
+    Promise.allSettled(jobs.map((job) => job.promise)).then((outcomes) => {
+      if (cancelled) return;
+      const rows = outcomes.map((outcome, index) => {
+        const name = slicedFiles[index].name;
+        if (outcome.status === "rejected") {
+          return {
+            name,
+            error:
+              outcome.reason?.name === "AbortError"
+                ? "Cancelled."
+                : outcome.reason?.message || "Could not read file.",
+          };
+        }
+        const sliced = outcome.value;
+        return {
+          name,
+          volumeMm3:
+            sliced.printType === "resin"
+              ? sliced.volumeMl * 1000
+              : sliced.extrudedMm3 ?? 0,
+          filamentGrams: sliced.filamentGrams ?? undefined,
+          sliced,
+        };
+      });
+      const types = new Set(
+        rows.filter((row) => row.sliced).map((row) => row.sliced.printType)
+      );
+      if (types.size === 1) setPrintType([...types][0]);
+      setResults(rows);
+      setIsLoading(false);
+    });
     return () => {
       cancelled = true;
+      jobs.forEach((job) => pool.cancel(job.id));
     };
-  }, [files, inputMode]);
+  }, [slicedFiles, inputMode]);
 
   useEffect(() => {
     if (inputMode !== "manual") return;
@@ -360,131 +1103,186 @@ export default function App() {
       {
         name: manualName || "Manual estimate",
         volumeMm3: manualResinMl * 1000,
+        filamentGrams: manualFilamentGrams,
       },
     ]);
-  }, [inputMode, manualName, manualResinMl]);
+  }, [inputMode, manualName, manualResinMl, manualFilamentGrams]);
 
   useEffect(() => {
-    if (inputMode !== "upload") {
+    if (inputMode !== "upload" || !files.length) {
       setPreviewGeometry(null);
       setPreviewError("");
       return;
     }
-    if (!files.length) {
+
+    const geometry =
+      parsedGeometries[selectedPreviewIndex] ?? parsedGeometries[0];
+    if (!geometry) {
       setPreviewGeometry(null);
-      setPreviewError("");
+      setPreviewError(
+        parsedGeometries.length ? "Unable to render model preview." : ""
+      );
       return;
     }
-
-    const file = files[selectedPreviewIndex] || files[0];
-    if (!file) return;
-    const loader = new STLLoader();
+    if (!geometry.getAttribute("normal")) geometry.computeVertexNormals();
     setPreviewError("");
+    setPreviewGeometry(geometry);
+  }, [files, parsedGeometries, selectedPreviewIndex, inputMode]);
 
-    file
-      .arrayBuffer()
-      .then((buffer) => {
-        const geometry = loader.parse(buffer);
-        geometry.computeVertexNormals();
-        setPreviewGeometry(geometry);
-      })
-      .catch(() => {
-        setPreviewGeometry(null);
-        setPreviewError("Unable to render STL preview.");
-      });
-  }, [files, selectedPreviewIndex, inputMode]);
+  const previewResult = results[selectedPreviewIndex];
+  const previewUp = itemUp(
+    itemSettings[previewResult?.name] ?? defaultItemSettings,
+    buildAxis
+  );
+  const previewUpKey = previewUp.join(",");
+  const previewSettings =
+    itemSettings[previewResult?.name] ?? defaultItemSettings;
+  const previewScaleKey = itemScaleFactors({
+    unit: previewSettings.unit,
+    scale: scaleFromSettings(previewSettings),
+  }).join(",");
 
-  useEffect(() => {
-    if (!previewRef.current || !previewGeometry) return;
-
-    const container = previewRef.current;
-    const scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x0b1120);
-
-    const camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
-    const renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setPixelRatio(window.devicePixelRatio || 1);
-    container.innerHTML = "";
-    container.appendChild(renderer.domElement);
-
-    const material = new THREE.MeshStandardMaterial({
-      color: 0x38bdf8,
-      metalness: 0.2,
-      roughness: 0.4,
-    });
-    const mesh = new THREE.Mesh(previewGeometry, material);
-    scene.add(mesh);
-
-    const ambient = new THREE.AmbientLight(0xffffff, 0.7);
-    const directional = new THREE.DirectionalLight(0xffffff, 0.8);
-    directional.position.set(5, 8, 10);
-    scene.add(ambient, directional);
-
-    previewGeometry.computeBoundingBox();
-    const box = previewGeometry.boundingBox;
-    const size = new THREE.Vector3();
-    const center = new THREE.Vector3();
-    box.getSize(size);
-    box.getCenter(center);
-    mesh.position.sub(center);
-
-    const maxDim = Math.max(size.x, size.y, size.z) || 1;
-    camera.near = maxDim / 100;
-    camera.far = maxDim * 10;
-    camera.position.set(0, 0, maxDim * 1.8);
-    camera.updateProjectionMatrix();
-
-    const controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-
-    const resize = () => {
-      const width = container.clientWidth;
-      const height = container.clientHeight;
-      renderer.setSize(width, height);
-      camera.aspect = width / height;
-      camera.updateProjectionMatrix();
+  // The wall rays are cast in the worker pool; the model shows plain until
+  // they are back, then setHeatmap recolours it in place.
+  const heatmapRequests = useMemo(() => {
+    if (!heatmapSettings.enabled || !previewGeometry) return [null];
+    const options = {
+      up: previewUpKey.split(",").map(Number),
+      scale: previewScaleKey.split(",").map(Number),
+      overhangAngle: supportSettings.overhangAngle,
     };
+    return [
+      { geometry: previewGeometry, options, key: JSON.stringify(options) },
+    ];
+  }, [
+    heatmapSettings.enabled,
+    previewGeometry,
+    previewUpKey,
+    previewScaleKey,
+    supportSettings.overhangAngle,
+  ]);
+  const [heatmapResult] = useGeometryTasks(
+    workerPoolRef,
+    "heatmap",
+    heatmapRequests
+  );
+  const previewHeatmap = heatmapResult ?? null;
+  const isMeasuringHeatmap =
+    heatmapRequests[0] !== null && heatmapResult === undefined;
 
-    const resizeObserver = new ResizeObserver(resize);
-    resizeObserver.observe(container);
-    resize();
+  const previewThinCount = useMemo(
+    () =>
+      previewHeatmap
+        ? thinFaceCount(previewHeatmap, heatmapSettings.minWallMm)
+        : 0,
+    [previewHeatmap, heatmapSettings.minWallMm]
+  );
 
-    let frame = 0;
-    const animate = () => {
-      frame = requestAnimationFrame(animate);
-      controls.update();
-      renderer.render(scene, camera);
-    };
-    animate();
+  useEffect(() => {
+    if (!previewRef.current || !previewGeometry || previewMode !== "model") {
+      return;
+    }
 
+    const view = createModelView({
+      geometry: previewGeometry,
+      scale: previewScaleKey.split(",").map(Number),
+      up: previewUpKey.split(",").map(Number),
+      formatLength: (value) => numberFormatter.format(value),
+    });
+    const unmount = mountPreview(previewRef.current, view.object, {
+      onPick: (point) => {
+        if (!measureEnabledRef.current) return;
+        setMeasuredDistance(view.addMeasurePoint(point));
+      },
+      drag: {
+        handle: view.clipHandle,
+        onDrag: (ray) =>
+          setClipSettings((prev) => ({
+            ...prev,
+            percent: Math.round(view.clipFractionAt(ray) * 100),
+          })),
+      },
+    });
+    modelViewRef.current = view;
+    view.setDimensionsVisible(showDimensions);
+    view.setHeatmap(previewHeatmap, heatmapSettings.minWallMm);
+    view.setClip({
+      enabled: clipSettings.enabled,
+      axis: clipSettings.axis,
+      fraction: clipSettings.percent / 100,
+    });
+    setMeasuredDistance(null);
     return () => {
-      cancelAnimationFrame(frame);
-      resizeObserver.disconnect();
-      controls.dispose();
-      material.dispose();
-      renderer.dispose();
-      if (container.contains(renderer.domElement)) {
-        container.removeChild(renderer.domElement);
-      }
+      modelViewRef.current = null;
+      unmount();
+      view.dispose();
     };
-  }, [previewGeometry]);
+  }, [
+    previewGeometry,
+    previewMode,
+    previewUpKey,
+    previewScaleKey,
+    numberFormatter,
+  ]);
+
+  // Overlays change in place so the camera keeps its position.
+  useEffect(() => {
+    modelViewRef.current?.setDimensionsVisible(showDimensions);
+  }, [showDimensions]);
+
+  useEffect(() => {
+    modelViewRef.current?.setHeatmap(
+      previewHeatmap,
+      heatmapSettings.minWallMm
+    );
+  }, [previewHeatmap, heatmapSettings.minWallMm]);
 
-  const pricePerMl = pricePerLiter / 1000;
-  const pricePerGram = pricePerKg / 1000;
-  const energyCostBase =
-    (printerPower / 1000) * Math.max(printHours, 0) * Math.max(energyRate, 0);
-  const energyCostPerStl =
-    includeEnergy && costMode === "per_stl" ? energyCostBase : 0;
-  const energyCostPerProject =
-    includeEnergy && costMode === "per_project" ? energyCostBase : 0;
+  useEffect(() => {
+    modelViewRef.current?.setClip({
+      enabled: clipSettings.enabled,
+      axis: clipSettings.axis,
+      fraction: clipSettings.percent / 100,
+    });
+  }, [clipSettings]);
+
+  useEffect(() => {
+    measureEnabledRef.current = measureEnabled;
+    if (!measureEnabled) {
+      modelViewRef.current?.clearMeasure();
+      setMeasuredDistance(null);
+    }
+  }, [measureEnabled]);
 
   useEffect(() => {
-    if (!selectedResinId || printType !== "resin") return;
+    if (applyingProject || !selectedResinId || printType !== "resin") return;
     const resinItem = resins.find((item) => item.$id === selectedResinId);
-    if (resinItem?.price_per_liter) {
-      setPricePerLiter(Number(resinItem.price_per_liter));
+    const batchPrice = materialPricePerThousand(`resin:${selectedResinId}`);
+    if (batchPrice !== null) {
+      setPricePerLiter(batchPrice);
+    } else if (resinItem?.price_per_liter) {
+      const price = convertToUserCurrency(
+        Number(resinItem.price_per_liter),
+        resinItem.currency,
+        currencySettings
+      );
+      if (price === null) {
+        setStatusMessage(
+          `Set an exchange rate for ${resinItem.currency} to use this resin.`
+        );
+      } else {
+        setPricePerLiter(price);
+      }
     }
-  }, [resins, selectedResinId, printType]);
+  }, [
+    resins,
+    selectedResinId,
+    printType,
+    currencySettings,
+    stockItems,
+    costingMethod,
+    materialUsage,
+    pinnedPrices,
+  ]);
 
   useEffect(() => {
     if (!editPrinterId) return;
@@ -494,18 +1292,34 @@ export default function App() {
         name: item.name || "",
         model: item.model || "",
         notes: item.notes || "",
+        profile: profileFromPrinterDocument(item),
       });
     }
   }, [editPrinterId, printers]);
 
   useEffect(() => {
-    if (!editResinId) return;
+    if (applyingProject) return;
+    const printerItem = printers.find(
+      (item) => `${item.name} ${item.model}` === printer
+    );
+    if (printerItem) {
+      const profile = profileFromPrinterDocument(printerItem);
+      setPrinterProfile(profile);
+      if (printerItem.power_watts != null) {
+        setPrinterPower(profile.powerWatts);
+      }
+    }
+  }, [printers, printer]);
+
+  useEffect(() => {
+    if (!editResinId) return;
     const item = resins.find((resin) => resin.$id === editResinId);
     if (item) {
       setEditResin({
         brand: item.brand || "",
         model: item.model || "",
         pricePerLiter: Number(item.price_per_liter || 0),
+        currency: item.currency || "",
       });
     }
   }, [editResinId, resins]);
@@ -519,110 +1333,664 @@ export default function App() {
         material: item.material || "",
         pricePerKg: Number(item.price_per_kg || 0),
         density: Number(item.density || 0),
+        currency: item.currency || "",
       });
     }
   }, [editFilamentId, filaments]);
 
   useEffect(() => {
-    if (!selectedFilamentId || printType !== "filament") return;
+    if (applyingProject || !selectedFilamentId || printType !== "filament") {
+      return;
+    }
     const filamentItem = filaments.find(
       (item) => item.$id === selectedFilamentId
     );
-    if (filamentItem?.price_per_kg) {
-      setPricePerKg(Number(filamentItem.price_per_kg));
+    const batchPrice = materialPricePerThousand(
+      `filament:${selectedFilamentId}`
+    );
+    if (batchPrice !== null) {
+      setPricePerKg(batchPrice);
+    } else if (filamentItem?.price_per_kg) {
+      const price = convertToUserCurrency(
+        Number(filamentItem.price_per_kg),
+        filamentItem.currency,
+        currencySettings
+      );
+      if (price === null) {
+        setStatusMessage(
+          `Set an exchange rate for ${filamentItem.currency} to use this filament.`
+        );
+      } else {
+        setPricePerKg(price);
+      }
     }
     if (filamentItem?.density) {
       setFilamentDensity(Number(filamentItem.density));
     }
-  }, [filaments, selectedFilamentId, printType]);
-
-  const enrichedResults = useMemo(() => {
-    return results.map((result) => {
-      if (result.error) return result;
-
-      if (printType === "filament") {
-        const volumeCm3 = result.volumeMm3 / 1000;
-        const infillRatio = Math.max(infillPercent, 0) / 100;
-        const effectiveVolumeCm3 = volumeCm3 * (infillRatio + shellFactor);
-        const estimatedGrams = effectiveVolumeCm3 * filamentDensity;
-        const materialGrams =
-          inputMode === "manual"
-            ? Math.max(manualFilamentGrams, 0)
-            : estimatedGrams;
-        const materialCost = materialGrams * pricePerGram;
-        const energyCost = energyCostPerStl;
-        return {
-          ...result,
-          filamentGrams: materialGrams,
-          materialCost,
-          energyCost,
-          cost: materialCost + energyCost,
-        };
+  }, [
+    filaments,
+    selectedFilamentId,
+    printType,
+    currencySettings,
+    stockItems,
+    costingMethod,
+    materialUsage,
+    pinnedPrices,
+  ]);
+
+  useEffect(() => {
+    if (applyingProject) setApplyingProject(false);
+  }, [applyingProject]);
+
+  // Price per liter (resin) or kg (filament) from the material's purchase
+  // batches, or null when none are recorded and the library price applies.
+  // FIFO needs how much of the material the current estimate uses.
+  function batchPricePerThousand(materialKey) {
+    const unitCost = batchUnitCost(
+      materialBatches(stockItems, materialKey, currencySettings),
+      costingMethod,
+      materialUsage[materialKey] ?? 0
+    );
+    return unitCost === null ? null : unitCost * 1000;
+  }
+
+  function materialPricePerThousand(materialKey) {
+    return projectMaterialPrice(
+      pinnedPrices,
+      materialKey,
+      batchPricePerThousand(materialKey)
+    );
+  }
+
+  // Library entries that rows can be priced with instead of the job material.
+  // Prices are converted to the user's currency; entries without a rate are
+  // left out rather than priced wrongly.
+  const libraryMaterials = useMemo(() => {
+    const resinMaterials = resins
+      .filter((item) => !item.archived)
+      .map((item) => ({
+        key: `resin:${item.$id}`,
+        name: `${item.brand} ${item.model}`,
+        printType: "resin",
+        pricePerLiter:
+          materialPricePerThousand(`resin:${item.$id}`) ??
+          convertToUserCurrency(
+            Number(item.price_per_liter || 0),
+            item.currency,
+            currencySettings
+          ),
+      }))
+      .filter((item) => item.pricePerLiter !== null);
+    const filamentMaterials = filaments
+      .filter((item) => !item.archived)
+      .map((item) => ({
+        key: `filament:${item.$id}`,
+        name: `${item.brand} ${item.material}`,
+        printType: "filament",
+        pricePerKg:
+          materialPricePerThousand(`filament:${item.$id}`) ??
+          convertToUserCurrency(
+            Number(item.price_per_kg || 0),
+            item.currency,
+            currencySettings
+          ),
+        filamentDensity: Number(item.density) || filamentDensity,
+      }))
+      .filter((item) => item.pricePerKg !== null);
+    return [...resinMaterials, ...filamentMaterials];
+  }, [
+    resins,
+    filaments,
+    currencySettings,
+    filamentDensity,
+    stockItems,
+    costingMethod,
+    materialUsage,
+    pinnedPrices,
+  ]);
+
+  const selectedFilament = filaments.find(
+    (item) => item.$id === selectedFilamentId
+  );
+  const jobMaterialName =
+    printType === "resin"
+      ? resin
+      : selectedFilament
+        ? `${selectedFilament.brand} ${selectedFilament.material}`
+        : "";
+
+  const jobConfig = useMemo(
+    () => ({
+      printType,
+      pricePerLiter,
+      pricePerKg,
+      filamentDensity,
+      infillPercent,
+      shellFactor,
+      fdmSettings,
+      supportPercent,
+      supportMode,
+      includeSupports,
+      energyRate,
+      buildAxis,
+      printerPower,
+      printHours,
+      timeMode,
+      printerProfile,
+      includeEnergy,
+      costMode,
+      materialName: jobMaterialName,
+      tariffPeriods: tariffPeriods(tariffSettings),
+      startTime: tariffSettings.startTime,
+    }),
+    [
+      printType,
+      pricePerLiter,
+      pricePerKg,
+      filamentDensity,
+      infillPercent,
+      shellFactor,
+      fdmSettings,
+      supportPercent,
+      supportMode,
+      includeSupports,
+      energyRate,
+      buildAxis,
+      printerPower,
+      printHours,
+      timeMode,
+      printerProfile,
+      includeEnergy,
+      costMode,
+      jobMaterialName,
+      tariffSettings,
+    ]
+  );
+
+  const itemMaterials = useMemo(
+    () =>
+      results.map((result) => {
+        const settings = itemSettings[result.name] ?? defaultItemSettings;
+        return (
+          libraryMaterials.find((item) => item.key === settings.materialId) ??
+          null
+        );
+      }),
+    [results, itemSettings, libraryMaterials]
+  );
+
+  // Geometry estimates scan the whole mesh, so they run in the worker pool
+  // and only for rows whose orientation, scale or support settings changed.
+  // Until then a row is priced on the support percentage.
+  const supportRequests = useMemo(() => {
+    return results.map((result, index) => {
+      const geometry = parsedGeometries[index];
+      if (!geometry || result.error) return null;
+      if ((itemMaterials[index]?.printType ?? printType) !== "resin") {
+        return null;
+      }
+      const settings = itemSettings[result.name] ?? defaultItemSettings;
+      const options = {
+        ...supportSettings,
+        up: itemUp(settings, buildAxis),
+        scale: itemScaleFactors({
+          unit: settings.unit,
+          scale: scaleFromSettings(settings),
+        }),
+      };
+      return { geometry, options, key: JSON.stringify(options) };
+    });
+  }, [
+    printType,
+    results,
+    parsedGeometries,
+    itemMaterials,
+    itemSettings,
+    supportSettings,
+    buildAxis,
+  ]);
+  const supportEstimates = useGeometryTasks(
+    workerPoolRef,
+    "supports",
+    supportRequests
+  );
+  const supportPendingCount = pendingCount(supportRequests, supportEstimates);
+
+  // Surface areas come from every triangle, so like the support estimate
+  // they are worked out in the pool, per row. Until then a row is priced on
+  // the shell factor.
+  const fdmSurfaceRequests = useMemo(() => {
+    return results.map((result, index) => {
+      const geometry = parsedGeometries[index];
+      if (!geometry || result.error) return null;
+      if ((itemMaterials[index]?.printType ?? printType) !== "filament") {
+        return null;
       }
+      const settings = itemSettings[result.name] ?? defaultItemSettings;
+      const options = {
+        up: itemUp(settings, buildAxis),
+        scale: itemScaleFactors({
+          unit: settings.unit,
+          scale: scaleFromSettings(settings),
+        }),
+      };
+      return { geometry, options, key: JSON.stringify(options) };
+    });
+  }, [
+    printType,
+    results,
+    parsedGeometries,
+    itemMaterials,
+    itemSettings,
+    buildAxis,
+  ]);
+  const fdmSurfaces = useGeometryTasks(
+    workerPoolRef,
+    "fdmSurfaces",
+    fdmSurfaceRequests
+  );
+  const fdmPendingCount = pendingCount(fdmSurfaceRequests, fdmSurfaces);
 
-      const volumeMl = result.volumeMm3 / 1000;
-      const supportVolumeMl = volumeMl * (supportPercent / 100);
-      const totalVolumeMl = includeSupports
-        ? volumeMl + supportVolumeMl
-        : volumeMl;
-      const energyCost = energyCostPerStl;
+  // Standing a model on its orientation walks every vertex, so rows whose
+  // orientation and scale are unchanged reuse their last size.
+  const orientedSizes = useMemo(() => {
+    return results.map((result, index) => {
+      const geometry = parsedGeometries[index];
+      const settings = itemSettings[result.name] ?? defaultItemSettings;
+      if (!geometry || result.error || !settings.orientation) return null;
+      const scale = itemScaleFactors({
+        unit: settings.unit,
+        scale: scaleFromSettings(settings),
+      });
+      const key = `${settings.orientation.join(",")}|${scale.join(",")}`;
+      const cached = orientedSizeCacheRef.current.get(geometry);
+      if (cached?.key === key) return cached.value;
+      const value = orientedSize(geometry, settings.orientation, scale);
+      orientedSizeCacheRef.current.set(geometry, { key, value });
+      return value;
+    });
+  }, [results, parsedGeometries, itemSettings]);
+
+  // Voxelizing is the slow part of hollowing, so it runs in the worker pool
+  // and only for rows whose mesh, scale or wall changed. Drain holes are
+  // applied to the cached cavity on the main thread.
+  const hollowRequests = useMemo(() => {
+    return results.map((result, index) => {
+      const geometry = parsedGeometries[index];
+      if (!hollowSettings.enabled || !geometry || result.error) return null;
+      if ((itemMaterials[index]?.printType ?? printType) !== "resin") {
+        return null;
+      }
+      const settings = itemSettings[result.name] ?? defaultItemSettings;
+      const scale = itemScaleFactors({
+        unit: settings.unit,
+        scale: scaleFromSettings(settings),
+      });
+      const options = { wallThickness: hollowSettings.wallThickness, scale };
       return {
-        ...result,
-        volumeMl,
-        supportVolumeMl,
-        totalVolumeMl,
-        materialCost: totalVolumeMl * pricePerMl,
-        energyCost,
-        cost: totalVolumeMl * pricePerMl + energyCost,
+        geometry,
+        options,
+        key: `${options.wallThickness}|${scale.join(",")}`,
+        solidVolumeMm3: result.volumeMm3 * scale[0] * scale[1] * scale[2],
       };
     });
   }, [
+    printType,
     results,
-    pricePerMl,
-    pricePerGram,
-    supportPercent,
-    includeSupports,
-    includeEnergy,
-    energyCostPerStl,
-    costMode,
+    parsedGeometries,
+    itemMaterials,
+    itemSettings,
+    hollowSettings.enabled,
+    hollowSettings.wallThickness,
+  ]);
+  const hollowCavities = useGeometryTasks(
+    workerPoolRef,
+    "hollow",
+    hollowRequests
+  );
+  const hollowPendingCount = pendingCount(hollowRequests, hollowCavities);
+
+  const hollowResults = useMemo(
+    () =>
+      hollowRequests.map((request, index) =>
+        request && hollowCavities[index]
+          ? hollowShell(
+              hollowCavities[index],
+              request.solidVolumeMm3,
+              hollowSettings
+            )
+          : null
+      ),
+    [hollowRequests, hollowCavities, hollowSettings]
+  );
+
+  const pricingItems = useMemo(
+    () =>
+      results.map((result, index) => {
+        const settings = itemSettings[result.name] ?? defaultItemSettings;
+        const supportEstimate = supportEstimates[index] ?? null;
+        const hollow = hollowResults[index] ?? null;
+        if (result.sliced) {
+          const slicedFor = result.sliced.printType;
+          return (itemMaterials[index]?.printType ?? printType) === slicedFor
+            ? {
+                ...result,
+                quantity: settings.quantity,
+                material: itemMaterials[index],
+              }
+            : {
+                ...result,
+                error: `Sliced for ${slicedFor}; change the material to match.`,
+              };
+        }
+        return {
+          ...result,
+          quantity: settings.quantity,
+          unit: settings.unit,
+          scale: scaleFromSettings(settings),
+          material: itemMaterials[index],
+          supportEstimate,
+          estimatedSupportMm3: supportEstimate?.supportVolumeMm3,
+          hollow,
+          shellVolumeMm3: hollow?.shellVolumeMm3,
+          fdmSurfaces: fdmSurfaces[index] ?? undefined,
+          orientation: orientedSizes[index] ? settings.orientation : null,
+          orientedSizeMm: orientedSizes[index] ?? undefined,
+        };
+      }),
+    [
+      printType,
+      results,
+      itemSettings,
+      itemMaterials,
+      supportEstimates,
+      hollowResults,
+      fdmSurfaces,
+      orientedSizes,
+    ]
+  );
+
+  const pricing = useMemo(
+    () => priceProject(pricingItems, jobConfig),
+    [pricingItems, jobConfig]
+  );
+  const enrichedResults = pricing.items;
+  const totals = pricing.totals;
+  const energyCostTotal = pricing.energyCost;
+  const machineCostTotal = pricing.machineCost;
+  const printHoursTotal = pricing.printHours;
+  const plateLayout = pricing.layout;
+  const materialSummary = pricing.materials;
+  // Rows can all use another process than the job, so the breakdown headers
+  // follow the rows rather than the job's print type.
+  const rowPrintTypes = new Set(materialSummary.map((item) => item.printType));
+  const mixedProcesses = rowPrintTypes.size > 1;
+  const breakdownPrintType =
+    rowPrintTypes.size === 1 ? [...rowPrintTypes][0] : printType;
+  const hasResinParts =
+    printType === "resin" ||
+    materialSummary.some((item) => item.printType === "resin");
+
+  const jobMaterialKey =
+    printType === "resin"
+      ? selectedResinId && `resin:${selectedResinId}`
+      : selectedFilamentId && `filament:${selectedFilamentId}`;
+  const consumption = useMemo(
+    () => jobConsumption(pricing, jobMaterialKey),
+    [pricing, jobMaterialKey]
+  );
+  const stockAvailability = useMemo(
+    () => checkAvailability(consumption.usage, stockItems),
+    [consumption, stockItems]
+  );
+  // Price per liter or kg of every library material the estimate uses, as
+  // saved with projects.
+  const resolvedMaterialPrices = Object.fromEntries(
+    consumption.usage.map((entry) => {
+      const library = libraryMaterials.find((item) => item.key === entry.key);
+      const price =
+        entry.key === jobMaterialKey
+          ? entry.printType === "filament"
+            ? pricePerKg
+            : pricePerLiter
+          : entry.printType === "filament"
+            ? library?.pricePerKg
+            : library?.pricePerLiter;
+      return [entry.key, price];
+    })
+  );
+  const jobKey = consumptionKey(consumption.usage);
+  const jobDeducted = jobKey !== "" && jobKey === deductedJobKey;
+
+  // Feeds FIFO batch pricing. Usage doesn't depend on price, so the round
+  // trip through pricing settles after one pass.
+  useEffect(() => {
+    setMaterialUsage(
+      Object.fromEntries(
+        consumption.usage.map((entry) => [entry.key, entry.amount])
+      )
+    );
+  }, [jobKey]);
+  const stockMaterialOptions = [
+    ...resins
+      .filter((item) => !item.archived)
+      .map((item) => ({
+        value: `resin:${item.$id}`,
+        label: `${item.brand} ${item.model} (resin)`,
+      })),
+    ...filaments
+      .filter((item) => !item.archived)
+      .map((item) => ({
+        value: `filament:${item.$id}`,
+        label: `${item.brand} ${item.material} (filament)`,
+      })),
+  ];
+  const quote = useMemo(
+    () => buildQuote(pricing, quoteSettings),
+    [pricing, quoteSettings]
+  );
+
+  useEffect(() => {
+    if (!previewRef.current || previewMode !== "plate" || !plateLayout) {
+      return;
+    }
+    const plateIndex = Math.min(
+      selectedPlateIndex,
+      plateLayout.plates.length - 1
+    );
+    if (plateIndex < 0) return;
+
+    const { object, dispose } = createPlateLayoutObject({
+      layout: plateLayout,
+      plateIndex,
+      items: pricingItems,
+      geometries: parsedGeometries,
+      buildAxis,
+    });
+    const unmount = mountPreview(previewRef.current, object, {
+      view: "plate",
+    });
+    return () => {
+      unmount();
+      dispose();
+    };
+  }, [
+    previewMode,
+    plateLayout,
+    selectedPlateIndex,
+    pricingItems,
+    parsedGeometries,
+    buildAxis,
+  ]);
+
+  const sectionHollow = hollowResults[selectedPreviewIndex] ?? null;
+  const sectionItem = pricingItems[selectedPreviewIndex];
+
+  useEffect(() => {
+    if (
+      !previewRef.current ||
+      previewMode !== "section" ||
+      !previewGeometry ||
+      !sectionHollow
+    ) {
+      return;
+    }
+
+    const { object, dispose } = createSectionObject({
+      geometry: previewGeometry,
+      scale: itemScaleFactors(sectionItem),
+      hollow: sectionHollow,
+      buildAxis,
+      fraction: sectionPercent / 100,
+    });
+    const unmount = mountPreview(previewRef.current, object);
+    return () => {
+      unmount();
+      dispose();
+    };
+  }, [
+    previewMode,
+    previewGeometry,
+    sectionHollow,
+    sectionItem,
+    buildAxis,
+    sectionPercent,
+  ]);
+  const totalCostWithEnergy = pricing.totalCost;
+
+  const projectSettings = {
+    location,
+    printer,
+    resin,
+    selectedResinId,
+    selectedFilamentId,
     printType,
+    pricePerLiter,
+    pricePerKg,
     filamentDensity,
     infillPercent,
     shellFactor,
+    fdmSettings,
+    supportPercent,
+    includeSupports,
+    supportMode,
+    supportSettings,
+    hollowSettings,
+    buildAxis,
+    energyRate,
+    printerPower,
+    printHours,
+    timeMode,
+    printerProfile,
+    includeEnergy,
+    tariffSettings,
+    costMode,
+    costingMethod,
+    materialPrices: resolvedMaterialPrices,
     inputMode,
+    manualName,
+    manualResinMl,
     manualFilamentGrams,
-  ]);
+    itemSettings,
+    quoteSettings,
+  };
 
-  const totals = useMemo(() => {
-    return enrichedResults.reduce(
-      (acc, result) => {
-        if (!result.error) {
-          acc.totalVolumeMl += result.totalVolumeMl ?? result.volumeMl ?? 0;
-          acc.totalSupportMl += result.supportVolumeMl ?? 0;
-          acc.totalFilamentGrams += result.filamentGrams ?? 0;
-          acc.totalEnergyCost += result.energyCost ?? 0;
-          acc.totalCost += result.cost;
-          acc.validItems += 1;
-        }
-        return acc;
+  const projectSetters = {
+    location: setLocation,
+    printer: setPrinter,
+    resin: setResin,
+    selectedResinId: setSelectedResinId,
+    selectedFilamentId: setSelectedFilamentId,
+    printType: setPrintType,
+    pricePerLiter: setPricePerLiter,
+    pricePerKg: setPricePerKg,
+    filamentDensity: setFilamentDensity,
+    infillPercent: setInfillPercent,
+    shellFactor: setShellFactor,
+    fdmSettings: setFdmSettings,
+    supportPercent: setSupportPercent,
+    includeSupports: setIncludeSupports,
+    supportMode: setSupportMode,
+    supportSettings: setSupportSettings,
+    hollowSettings: setHollowSettings,
+    buildAxis: setBuildAxis,
+    energyRate: setEnergyRate,
+    printerPower: setPrinterPower,
+    printHours: setPrintHours,
+    timeMode: setTimeMode,
+    printerProfile: setPrinterProfile,
+    includeEnergy: setIncludeEnergy,
+    tariffSettings: setTariffSettings,
+    costMode: setCostMode,
+    costingMethod: setCostingMethod,
+    materialPrices: setPinnedPrices,
+    inputMode: setInputMode,
+    manualName: setManualName,
+    manualResinMl: setManualResinMl,
+    manualFilamentGrams: setManualFilamentGrams,
+    itemSettings: setItemSettings,
+    quoteSettings: setQuoteSettings,
+  };
+
+  function exportFileName(extension) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    return `estimate-${stamp}.${extension}`;
+  }
+
+  function handleExportCsv() {
+    downloadFile(
+      exportFileName("csv"),
+      estimateToCsv(pricing),
+      "text/csv;charset=utf-8"
+    );
+  }
+
+  function handleExportJson() {
+    const json = estimateToJson({
+      project: {
+        location,
+        printer,
+        resin,
+        inputMode,
+        currency: currencySettings.currency,
       },
-      {
-        totalVolumeMl: 0,
-        totalSupportMl: 0,
-        totalFilamentGrams: 0,
-        totalEnergyCost: 0,
-        totalCost: 0,
-        validItems: 0,
+      config: { ...jobConfig, supportSettings, itemSettings, quoteSettings },
+      pricing,
+      quote,
+    });
+    downloadFile(exportFileName("json"), json, "application/json");
+  }
+
+  function handlePrintQuote() {
+    const thumbnails = {};
+    pricingItems.forEach((item, index) => {
+      const geometry = parsedGeometries[index];
+      if (!geometry || item.error || thumbnails[item.name]) return;
+      try {
+        thumbnails[item.name] = renderThumbnail(geometry, {
+          scale: itemScaleFactors(item),
+        });
+      } catch (error) {
+        // A missing thumbnail shouldn't block the quote sheet.
       }
-    );
-  }, [enrichedResults]);
+    });
 
-  const energyCostTotal =
-    costMode === "per_project"
-      ? energyCostPerProject
-      : totals.totalEnergyCost;
-  const totalCostWithEnergy =
-    costMode === "per_project" ? totals.totalCost + energyCostTotal : totals.totalCost;
+    const sheet = window.open("", "_blank");
+    if (!sheet) {
+      setStatusMessage("Allow pop-ups to print the quote sheet.");
+      return;
+    }
+    sheet.document.write(
+      quoteToHtml(quote, {
+        title: quote.customerName ? `Quote for ${quote.customerName}` : "Quote",
+        formatCurrency: (value) => currencyFormatter.format(value),
+        thumbnails,
+        autoPrint: true,
+      })
+    );
+    sheet.document.close();
+    sheet.focus();
+  }
 
   async function handleAuthSubmit(event) {
     event.preventDefault();
@@ -665,6 +2033,110 @@ export default function App() {
     }
   }
 
+  function updateCurrencySetting(key, value) {
+    setCurrencySettings((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function updateExchangeRate(code, value) {
+    setCurrencySettings((prev) => {
+      const exchangeRates = { ...prev.exchangeRates };
+      if (value === "") {
+        delete exchangeRates[code];
+      } else {
+        exchangeRates[code] = Number(value);
+      }
+      return { ...prev, exchangeRates };
+    });
+  }
+
+  async function handleSaveCurrencySettings(event) {
+    event.preventDefault();
+    if (!user || !appwriteRef.current) return;
+    try {
+      const updated = await appwriteRef.current.account.updatePrefs({
+        ...user.prefs,
+        ...currencyPrefs(currencySettings),
+      });
+      setUser(updated);
+      setStatusMessage("Preferences saved.");
+    } catch (error) {
+      setStatusMessage(error.message || "Could not save preferences.");
+    }
+  }
+
+  function updateTariffSetting(key, value) {
+    setTariffSettings((prev) => ({ ...prev, [key]: value }));
+  }
+
+  async function handleSaveLocationTariff() {
+    if (!user || !appwriteRef.current || !location.trim()) return;
+    try {
+      const updated = await appwriteRef.current.account.updatePrefs({
+        ...user.prefs,
+        ...locationTariffPrefs(user.prefs, location, tariffSettings),
+      });
+      setUser(updated);
+      setStatusMessage(`Tariff saved for ${location.trim()}.`);
+    } catch (error) {
+      setStatusMessage(error.message || "Could not save tariff.");
+    }
+  }
+
+  function setItemOrientation(name, up) {
+    setItemSettings((prev) => ({
+      ...prev,
+      [name]: { ...(prev[name] ?? defaultItemSettings), orientation: up },
+    }));
+  }
+
+  // Scoring runs a support estimate per candidate over the whole mesh, so it
+  // goes through the worker pool and can be cancelled.
+  async function handleSuggestOrientation() {
+    const geometry = parsedGeometries[selectedPreviewIndex];
+    if (!geometry || !previewResult || previewResult.error) return;
+    const { name } = previewResult;
+    const settings = itemSettings[name] ?? defaultItemSettings;
+    if (!workerPoolRef.current) {
+      workerPoolRef.current = createGeometryWorkerPool();
+    }
+    const job = workerPoolRef.current.runTask("orientations", {
+      positions: geometry.getAttribute("position").array,
+      options: {
+        scale: itemScaleFactors({
+          unit: settings.unit,
+          scale: scaleFromSettings(settings),
+        }),
+        printType:
+          itemMaterials[selectedPreviewIndex]?.printType ?? printType,
+        overhangAngle: supportSettings.overhangAngle,
+      },
+    });
+    orientationJobRef.current = job;
+    setScoringOrientation(name);
+    try {
+      const candidates = await job.promise;
+      setOrientationProposal({ name, candidates });
+    } catch (error) {
+      if (error?.name !== "AbortError") {
+        setStatusMessage(error.message || "Could not score orientations.");
+      }
+    } finally {
+      if (orientationJobRef.current === job) {
+        orientationJobRef.current = null;
+        setScoringOrientation("");
+      }
+    }
+  }
+
+  function handleCancelOrientation() {
+    const job = orientationJobRef.current;
+    if (job) workerPoolRef.current?.cancel(job.id);
+  }
+
+  function updateFdmSetting(key, value) {
+    setFdmSettings((prev) => ({ ...prev, [key]: value }));
+  }
+
   async function handleSignOut() {
     if (!appwriteRef.current) return;
     await appwriteRef.current.account.deleteSession("current");
@@ -685,19 +2157,31 @@ export default function App() {
         Permission.update(Role.user(user.$id)),
         Permission.delete(Role.user(user.$id)),
       ];
-      await appwriteRef.current.databases.createDocument(
-        appwriteConfig.databaseId,
+      const documentId = ID.unique();
+      const { skipped } = await writeOptionalFields(
         appwriteConfig.printersCollectionId,
-        ID.unique(),
+        (fields) =>
+          appwriteRef.current.databases.createDocument(
+            appwriteConfig.databaseId,
+            appwriteConfig.printersCollectionId,
+            documentId,
+            fields,
+            permissions
+          ),
         {
           name: newPrinter.name,
           model: newPrinter.model,
           notes: newPrinter.notes,
         },
-        permissions
+        printerDocumentFields(newPrinter.profile)
       );
-      setNewPrinter({ name: "", model: "", notes: "" });
-      setStatusMessage("Printer saved.");
+      setNewPrinter({
+        name: "",
+        model: "",
+        notes: "",
+        profile: defaultPrinterProfile,
+      });
+      setStatusMessage(`Printer saved.${skippedFieldsNote(skipped)}`);
       const data = await appwriteRef.current.databases.listDocuments(
         appwriteConfig.databaseId,
         appwriteConfig.printersCollectionId,
@@ -717,17 +2201,23 @@ export default function App() {
     }
     try {
       if (!appwriteRef.current) return;
-      await appwriteRef.current.databases.updateDocument(
-        appwriteConfig.databaseId,
+      const { skipped } = await writeOptionalFields(
         appwriteConfig.printersCollectionId,
-        editPrinterId,
+        (fields) =>
+          appwriteRef.current.databases.updateDocument(
+            appwriteConfig.databaseId,
+            appwriteConfig.printersCollectionId,
+            editPrinterId,
+            fields
+          ),
         {
           name: editPrinter.name,
           model: editPrinter.model,
           notes: editPrinter.notes,
-        }
+        },
+        printerDocumentFields(editPrinter.profile)
       );
-      setStatusMessage("Printer updated.");
+      setStatusMessage(`Printer updated.${skippedFieldsNote(skipped)}`);
       const data = await appwriteRef.current.databases.listDocuments(
         appwriteConfig.databaseId,
         appwriteConfig.printersCollectionId,
@@ -760,10 +2250,11 @@ export default function App() {
           brand: newResin.brand,
           model: newResin.model,
           price_per_liter: newResin.pricePerLiter,
+          currency: newResin.currency || currencySettings.currency,
         },
         permissions
       );
-      setNewResin({ brand: "", model: "", pricePerLiter: 200 });
+      setNewResin({ brand: "", model: "", pricePerLiter: 200, currency: "" });
       setStatusMessage("Resin saved.");
       const data = await appwriteRef.current.databases.listDocuments(
         appwriteConfig.databaseId,
@@ -792,6 +2283,7 @@ export default function App() {
           brand: editResin.brand,
           model: editResin.model,
           price_per_liter: editResin.pricePerLiter,
+          currency: editResin.currency || currencySettings.currency,
         }
       );
       setStatusMessage("Resin updated.");
@@ -828,6 +2320,7 @@ export default function App() {
           material: newFilament.material,
           price_per_kg: newFilament.pricePerKg,
           density: newFilament.density,
+          currency: newFilament.currency || currencySettings.currency,
         },
         permissions
       );
@@ -836,6 +2329,7 @@ export default function App() {
         material: "",
         pricePerKg: 25,
         density: 1.24,
+        currency: "",
       });
       setStatusMessage("Filament saved.");
       const data = await appwriteRef.current.databases.listDocuments(
@@ -866,6 +2360,7 @@ export default function App() {
           material: editFilament.material,
           price_per_kg: editFilament.pricePerKg,
           density: editFilament.density,
+          currency: editFilament.currency || currencySettings.currency,
         }
       );
       setStatusMessage("Filament updated.");
@@ -897,8 +2392,24 @@ export default function App() {
     setStatusMessage("");
     setUploadMessageType("status");
     setUploadMessage("Uploading files...");
+    const knownHashes = new Map(
+      uploads
+        .filter((item) => item.content_hash)
+        .map((item) => [item.content_hash, item.file_name])
+    );
+    const duplicates = [];
+    const skippedFields = new Set();
     for (const file of files) {
       try {
+        const summary =
+          inputMode === "upload"
+            ? results.find((item) => item.name === file.name && !item.error)
+            : null;
+        const hash =
+          summary?.contentHash ?? (await contentHash(await file.arrayBuffer()));
+        if (hash && knownHashes.has(hash)) {
+          duplicates.push(`${file.name} (same as ${knownHashes.get(hash)})`);
+        }
         const filePermissions = [
           Permission.read(Role.user(user.$id)),
           Permission.update(Role.user(user.$id)),
@@ -915,17 +2426,26 @@ export default function App() {
           Permission.update(Role.user(user.$id)),
           Permission.delete(Role.user(user.$id)),
         ];
-        await appwriteRef.current.databases.createDocument(
-          appwriteConfig.databaseId,
+        if (hash && !knownHashes.has(hash)) knownHashes.set(hash, file.name);
+        const documentId = ID.unique();
+        const { skipped } = await writeOptionalFields(
           appwriteConfig.uploadsCollectionId,
-          ID.unique(),
+          (fields) =>
+            appwriteRef.current.databases.createDocument(
+              appwriteConfig.databaseId,
+              appwriteConfig.uploadsCollectionId,
+              documentId,
+              fields,
+              docPermissions
+            ),
           {
             file_name: file.name,
             file_id: createdFile.$id,
             size_bytes: file.size,
           },
-          docPermissions
+          summary ? geometryDocumentFields(summary) : { content_hash: hash }
         );
+        skipped.forEach((key) => skippedFields.add(key));
       } catch (error) {
         setStatusMessage(error.message || "Upload failed.");
         setUploadMessageType("error");
@@ -940,73 +2460,465 @@ export default function App() {
       [Query.orderDesc("$createdAt")]
     );
     setUploads(data.documents ?? []);
-    setStatusMessage("Files uploaded successfully.");
+    const message =
+      (duplicates.length > 0
+        ? `Files uploaded. Already in your library: ${duplicates.join(", ")}.`
+        : "Files uploaded successfully.") +
+      skippedFieldsNote([...skippedFields]);
+    setStatusMessage(message);
     setUploadMessageType("status");
-    setUploadMessage("Files uploaded successfully.");
+    setUploadMessage(message);
   }
 
-  return (
-    <div className="app">
-      <header className="hero">
-        <div>
-          <span className="eyebrow">STL Calculator</span>
-          <h1>Smart 3D Printing Estimator</h1>
-          <p>
-            Upload your STLs, set resin price, and get cost per piece and per
-            project in seconds.
-          </p>
-        </div>
-        <div className="hero-card">
-          <div>
-            <span>Total volume</span>
-            <strong className="hero-metric">
-              {numberFormatter.format(totals.totalVolumeMl)} ml
-            </strong>
-          </div>
-          <div>
-            <span>Total cost</span>
-            <strong className="hero-metric">
-              {currencyFormatter.format(totalCostWithEnergy)}
-            </strong>
-          </div>
-        </div>
-      </header>
+  async function refreshCollection(collectionId, setItems) {
+    const data = await appwriteRef.current.databases.listDocuments(
+      appwriteConfig.databaseId,
+      collectionId,
+      [Query.orderDesc("$createdAt")]
+    );
+    setItems(data.documents ?? []);
+  }
 
-      <section className="card auth">
-        <div className="auth-header">
-          <div>
-            <h2>Account</h2>
-            <p>Save printers, resins, and uploads to your profile.</p>
-          </div>
-          {user && (
-            <button className="secondary" type="button" onClick={handleSignOut}>
-              Sign out
-            </button>
-          )}
-        </div>
-        {!appwriteReady && (
-          <p className="error">
-            Appwrite is not configured. Check your environment variables and
-            redeploy.
-          </p>
-        )}
-        {user ? (
-          <p className="status">Signed in as {user.email}</p>
-        ) : (
-          <form className="auth-form" onSubmit={handleAuthSubmit}>
-            <div className="form-grid">
-              <label>
-                Email
-                <input
-                  type="email"
-                  value={authEmail}
-                  onChange={(event) => setAuthEmail(event.target.value)}
-                  placeholder="you@example.com"
-                />
-              </label>
-              <label>
-                Password
-                <input
+  function refreshProjects() {
+    return refreshCollection(appwriteConfig.projectsCollectionId, setProjects);
+  }
+
+  // Archived documents stay in the library (and in old projects) but are
+  // hidden from the setup selectors.
+  async function setDocumentArchived(
+    collectionId,
+    setItems,
+    documentId,
+    archived,
+    kind
+  ) {
+    if (!documentId || !appwriteRef.current) return;
+    const prompt = archived
+      ? `Archive this ${kind}? It will be hidden from the setup lists.`
+      : `Restore this ${kind}?`;
+    if (!window.confirm(prompt)) return;
+    try {
+      // Once the collection is known to lack the attribute there is nothing
+      // left to send.
+      const { skipped } = await writeOptionalFields(
+        collectionId,
+        (fields) =>
+          Object.keys(fields).length > 0
+            ? appwriteRef.current.databases.updateDocument(
+                appwriteConfig.databaseId,
+                collectionId,
+                documentId,
+                fields
+              )
+            : null,
+        {},
+        { archived }
+      );
+      if (skipped.length > 0) {
+        setStatusMessage(
+          `Could not ${archived ? "archive" : "restore"}: the collection ` +
+            "has no archived attribute. Add an optional boolean archived " +
+            "attribute to it first."
+        );
+        return;
+      }
+      setStatusMessage(archived ? "Archived." : "Restored.");
+      await refreshCollection(collectionId, setItems);
+    } catch (error) {
+      setStatusMessage(error.message || "Could not archive.");
+    }
+  }
+
+  async function deleteLibraryDocument(
+    collectionId,
+    setItems,
+    documentId,
+    kind
+  ) {
+    if (!documentId || !appwriteRef.current) return false;
+    if (!window.confirm(`Delete this ${kind}? This can't be undone.`)) {
+      return false;
+    }
+    try {
+      await appwriteRef.current.databases.deleteDocument(
+        appwriteConfig.databaseId,
+        collectionId,
+        documentId
+      );
+      setStatusMessage(`Deleted ${kind}.`);
+      await refreshCollection(collectionId, setItems);
+      return true;
+    } catch (error) {
+      setStatusMessage(error.message || `Could not delete ${kind}.`);
+      return false;
+    }
+  }
+
+  async function handleDeleteUpload(upload) {
+    if (!appwriteRef.current) return;
+    if (!window.confirm(`Delete ${upload.file_name} from your account?`)) {
+      return;
+    }
+    try {
+      try {
+        await appwriteRef.current.storage.deleteFile(
+          appwriteConfig.bucketId,
+          upload.file_id
+        );
+      } catch (error) {
+        // Already gone from the bucket; still drop the dangling document.
+        if (error.code !== 404) throw error;
+      }
+      await appwriteRef.current.databases.deleteDocument(
+        appwriteConfig.databaseId,
+        appwriteConfig.uploadsCollectionId,
+        upload.$id
+      );
+      setSelectedUploadIds((prev) => prev.filter((id) => id !== upload.$id));
+      setDownloadMessage(`Deleted ${upload.file_name}.`);
+      await refreshCollection(appwriteConfig.uploadsCollectionId, setUploads);
+    } catch (error) {
+      setDownloadMessage(error.message || "Could not delete upload.");
+    }
+  }
+
+  // Links the most recent upload of each file in the estimate. Files that
+  // were never uploaded stay local to this browser.
+  function linkedUploadFileIds() {
+    if (inputMode !== "upload") return [];
+    return results
+      .map((result) => uploads.find((item) => item.file_name === result.name))
+      .filter(Boolean)
+      .map((item) => item.file_id);
+  }
+
+  async function handleSaveProject(event) {
+    event.preventDefault();
+    if (!user || !appwriteRef.current) {
+      setStatusMessage("Sign in to save projects.");
+      return;
+    }
+    if (!projectName.trim()) {
+      setStatusMessage("Project name is required.");
+      return;
+    }
+    try {
+      const permissions = [
+        Permission.read(Role.user(user.$id)),
+        Permission.update(Role.user(user.$id)),
+        Permission.delete(Role.user(user.$id)),
+      ];
+      const created = await appwriteRef.current.databases.createDocument(
+        appwriteConfig.databaseId,
+        appwriteConfig.projectsCollectionId,
+        ID.unique(),
+        projectDocumentFields({
+          name: projectName.trim(),
+          settings: projectSettings,
+          pricing,
+          fileIds: linkedUploadFileIds(),
+        }),
+        permissions
+      );
+      setActiveProjectId(created.$id);
+      setPinnedPrices(resolvedMaterialPrices);
+      setStatusMessage("Project saved.");
+      await refreshProjects();
+    } catch (error) {
+      setStatusMessage(error.message || "Could not save project.");
+    }
+  }
+
+  async function handleUpdateProject() {
+    if (!activeProjectId || !appwriteRef.current) return;
+    try {
+      await appwriteRef.current.databases.updateDocument(
+        appwriteConfig.databaseId,
+        appwriteConfig.projectsCollectionId,
+        activeProjectId,
+        projectDocumentFields({
+          name: projectName.trim() || "Untitled project",
+          settings: projectSettings,
+          pricing,
+          fileIds: linkedUploadFileIds(),
+        })
+      );
+      setPinnedPrices(resolvedMaterialPrices);
+      setStatusMessage("Project updated.");
+      await refreshProjects();
+    } catch (error) {
+      setStatusMessage(error.message || "Could not update project.");
+    }
+  }
+
+  function handleOpenProject(project) {
+    const settings = projectSettingsFromDocument(project);
+    // Projects saved before these were kept have no library selection.
+    setPinnedPrices({});
+    setSelectedResinId("");
+    setSelectedFilamentId("");
+    Object.entries(settings).forEach(([key, value]) =>
+      projectSetters[key](value)
+    );
+    setApplyingProject(true);
+    setProjectName(project.name || "");
+    setActiveProjectId(project.$id);
+
+    setStatusMessage("Project opened.");
+
+    const linkedUploads = (project.upload_file_ids ?? [])
+      .map((fileId) => uploads.find((item) => item.file_id === fileId))
+      .filter(Boolean);
+    const loadedNames = new Set(files.map((file) => file.name));
+    if (
+      settings.inputMode !== "manual" &&
+      linkedUploads.some((item) => !loadedNames.has(item.file_name))
+    ) {
+      loadUploadsIntoEstimate(linkedUploads);
+    }
+  }
+
+  async function loadUploadsIntoEstimate(uploadDocs) {
+    if (!appwriteRef.current || uploadDocs.length === 0) return;
+    setIsDownloading(true);
+    setDownloadMessage(`Downloading ${uploadDocs.length} file(s)...`);
+    try {
+      const downloaded = await Promise.all(
+        uploadDocs.map((item) =>
+          downloadUpload(appwriteRef.current.storage, item)
+        )
+      );
+      setInputMode("upload");
+      setFiles(downloaded);
+      setDownloadMessage(
+        `Loaded ${downloaded.length} file(s) into the estimate.`
+      );
+    } catch (error) {
+      setDownloadMessage(error.message || "Download failed.");
+    } finally {
+      setIsDownloading(false);
+    }
+  }
+
+  function stockMaterialName(stockItem) {
+    const library =
+      stockItem.material_type === "filament" ? filaments : resins;
+    const material = library.find(
+      (item) => item.$id === stockItem.material_id
+    );
+    if (!material) return "Deleted material";
+    return stockItem.material_type === "filament"
+      ? `${material.brand} ${material.material}`
+      : `${material.brand} ${material.model}`;
+  }
+
+  async function handleAddStock(event) {
+    event.preventDefault();
+    if (!user || !appwriteRef.current) return;
+    if (!newStock.materialKey || !(newStock.quantity > 0)) {
+      setStatusMessage("Pick a material and a quantity for the stock item.");
+      return;
+    }
+    try {
+      const [materialType, materialId] = newStock.materialKey.split(":");
+      const permissions = [
+        Permission.read(Role.user(user.$id)),
+        Permission.update(Role.user(user.$id)),
+        Permission.delete(Role.user(user.$id)),
+      ];
+      await appwriteRef.current.databases.createDocument(
+        appwriteConfig.databaseId,
+        appwriteConfig.stockCollectionId,
+        ID.unique(),
+        {
+          material_type: materialType,
+          material_id: materialId,
+          label: newStock.label,
+          initial_quantity: newStock.quantity,
+          remaining_quantity: newStock.quantity,
+          purchase_date: newStock.purchaseDate,
+          cost: newStock.cost,
+          currency: currencySettings.currency,
+        },
+        permissions
+      );
+      setNewStock((prev) => ({ ...prev, label: "" }));
+      setStatusMessage("Stock added.");
+      await refreshCollection(appwriteConfig.stockCollectionId, setStockItems);
+    } catch (error) {
+      setStatusMessage(error.message || "Could not add stock.");
+    }
+  }
+
+  async function handleConfirmJob() {
+    if (
+      !user ||
+      !appwriteRef.current ||
+      consumption.usage.length === 0 ||
+      jobDeducted ||
+      isDeducting
+    ) {
+      return;
+    }
+    const short = stockAvailability.filter((entry) => entry.shortfall > 0);
+    const prompt =
+      short.length > 0
+        ? `Not enough stock for ${short
+            .map((entry) => entry.name)
+            .join(", ")}. Deduct what is available anyway?`
+        : "Deduct this job's material use from stock?";
+    if (!window.confirm(prompt)) return;
+
+    setIsDeducting(true);
+    let written = 0;
+    try {
+      for (const entry of consumption.usage) {
+        const { updates } = planDeduction(stockItems, entry.key, entry.amount);
+        for (const update of updates) {
+          await appwriteRef.current.databases.updateDocument(
+            appwriteConfig.databaseId,
+            appwriteConfig.stockCollectionId,
+            update.id,
+            { remaining_quantity: update.remaining }
+          );
+          written += 1;
+        }
+      }
+      setStatusMessage("Stock updated for this job.");
+      await refreshCollection(appwriteConfig.stockCollectionId, setStockItems);
+    } catch (error) {
+      setStatusMessage(
+        written > 0
+          ? "Stock was only partly updated for this job; check the Stock list."
+          : error.message || "Could not update stock."
+      );
+    } finally {
+      // Anything written counts: confirming again would take it twice. The
+      // quote keeps the prices it was confirmed at.
+      if (written > 0) {
+        setDeductedJobKey(jobKey);
+        setPinnedPrices((prev) => ({ ...prev, ...resolvedMaterialPrices }));
+      }
+      setIsDeducting(false);
+    }
+  }
+
+  // Uploads are newest first, so the last one with a hash is the original.
+  const duplicateUploads = useMemo(() => {
+    const originals = new Map();
+    const duplicates = {};
+    [...uploads].reverse().forEach((item) => {
+      if (!item.content_hash) return;
+      if (originals.has(item.content_hash)) {
+        duplicates[item.$id] = originals.get(item.content_hash);
+      } else {
+        originals.set(item.content_hash, item.file_name);
+      }
+    });
+    return duplicates;
+  }, [uploads]);
+
+  function toggleUploadSelection(uploadId) {
+    setSelectedUploadIds((prev) =>
+      prev.includes(uploadId)
+        ? prev.filter((id) => id !== uploadId)
+        : [...prev, uploadId]
+    );
+  }
+
+  async function handleDuplicateProject(project) {
+    if (!user || !appwriteRef.current) return;
+    try {
+      const permissions = [
+        Permission.read(Role.user(user.$id)),
+        Permission.update(Role.user(user.$id)),
+        Permission.delete(Role.user(user.$id)),
+      ];
+      const copy = Object.fromEntries(
+        Object.entries(project).filter(([key]) => !key.startsWith("$"))
+      );
+      await appwriteRef.current.databases.createDocument(
+        appwriteConfig.databaseId,
+        appwriteConfig.projectsCollectionId,
+        ID.unique(),
+        {
+          ...copy,
+          name: duplicateProjectName(
+            project.name,
+            projects.map((item) => item.name)
+          ),
+        },
+        permissions
+      );
+      setStatusMessage("Project duplicated.");
+      await refreshProjects();
+    } catch (error) {
+      setStatusMessage(error.message || "Could not duplicate project.");
+    }
+  }
+
+  return (
+    <div className="app">
+      <header className="hero">
+        <div>
+          <span className="eyebrow">STL Calculator</span>
+          <h1>Smart 3D Printing Estimator</h1>
+          <p>
+            Upload your STLs, set resin price, and get cost per piece and per
+            project in seconds.
+          </p>
+        </div>
+        <div className="hero-card">
+          <div>
+            <span>Total volume</span>
+            <strong className="hero-metric">
+              {numberFormatter.format(totals.totalVolumeMl)} ml
+            </strong>
+          </div>
+          <div>
+            <span>Total cost</span>
+            <strong className="hero-metric">
+              {currencyFormatter.format(totalCostWithEnergy)}
+            </strong>
+          </div>
+        </div>
+      </header>
+
+      <section className="card auth">
+        <div className="auth-header">
+          <div>
+            <h2>Account</h2>
+            <p>Save printers, resins, and uploads to your profile.</p>
+          </div>
+          {user && (
+            <button className="secondary" type="button" onClick={handleSignOut}>
+              Sign out
+            </button>
+          )}
+        </div>
+        {!appwriteReady && (
+          <p className="error">
+            Appwrite is not configured. Check your environment variables and
+            redeploy.
+          </p>
+        )}
+        {user ? (
+          <p className="status">Signed in as {user.email}</p>
+        ) : (
+          <form className="auth-form" onSubmit={handleAuthSubmit}>
+            <div className="form-grid">
+              <label>
+                Email
+                <input
+                  type="email"
+                  value={authEmail}
+                  onChange={(event) => setAuthEmail(event.target.value)}
+                  placeholder="you@example.com"
+                />
+              </label>
+              <label>
+                Password
+                <input
                   type="password"
                   value={authPassword}
                   onChange={(event) => setAuthPassword(event.target.value)}
@@ -1032,6 +2944,59 @@ export default function App() {
             </div>
           </form>
         )}
+        <form className="currency-form" onSubmit={handleSaveCurrencySettings}>
+          <h3>Currency and locale</h3>
+          <div className="form-grid">
+            <label>
+              Currency
+              <CustomSelect
+                value={currencySettings.currency}
+                onChange={(currency) =>
+                  updateCurrencySetting("currency", currency)
+                }
+                options={currencyOptions}
+              />
+            </label>
+            <label>
+              Number format
+              <CustomSelect
+                value={currencySettings.locale}
+                onChange={(locale) => updateCurrencySetting("locale", locale)}
+                options={locales.map((item) => ({
+                  value: item.code,
+                  label: item.label,
+                }))}
+              />
+            </label>
+            {currencies
+              .filter((item) => item.code !== currencySettings.currency)
+              .map((item) => (
+                <label key={item.code}>
+                  1 {item.code} = ? {currencySettings.currency}
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.0001"
+                    value={currencySettings.exchangeRates[item.code] ?? ""}
+                    placeholder="Not set"
+                    onChange={(event) =>
+                      updateExchangeRate(item.code, event.target.value)
+                    }
+                  />
+                </label>
+              ))}
+          </div>
+          <p className="hint">
+            Library prices in another currency are converted with these rates.
+          </p>
+          <button
+            type="submit"
+            className="secondary"
+            disabled={!user || !appwriteReady}
+          >
+            Save preferences
+          </button>
+        </form>
         {statusMessage && <p className="status">{statusMessage}</p>}
       </section>
 
@@ -1044,14 +3009,20 @@ export default function App() {
               <button
                 type="button"
                 className={printType === "resin" ? "active" : ""}
-                onClick={() => setPrintType("resin")}
+                onClick={() => {
+                  setPinnedPrices({});
+                  setPrintType("resin");
+                }}
               >
                 Resin
               </button>
               <button
                 type="button"
                 className={printType === "filament" ? "active" : ""}
-                onClick={() => setPrintType("filament")}
+                onClick={() => {
+                  setPinnedPrices({});
+                  setPrintType("filament");
+                }}
               >
                 Filament
               </button>
@@ -1082,10 +3053,12 @@ export default function App() {
               onChange={setPrinter}
               placeholder="Select saved printer"
               disabled={!appwriteReady}
-              options={printers.map((item) => ({
-                value: `${item.name} ${item.model}`,
-                label: `${item.name} · ${item.model}`,
-              }))}
+              options={printers
+                .filter((item) => !item.archived)
+                .map((item) => ({
+                  value: `${item.name} ${item.model}`,
+                  label: `${item.name} · ${item.model}`,
+                }))}
             />
           </label>
           {printType === "resin" && (
@@ -1103,17 +3076,22 @@ export default function App() {
                 Resin from library
                 <CustomSelect
                   value={selectedResinId}
-                  onChange={setSelectedResinId}
+                  onChange={(value) => {
+                    setPinnedPrices({});
+                    setSelectedResinId(value);
+                  }}
                   placeholder="Select saved resin"
                   disabled={!appwriteReady}
-                  options={resins.map((item) => ({
-                    value: item.$id,
-                    label: `${item.brand} ${item.model}`,
-                  }))}
+                  options={resins
+                    .filter((item) => !item.archived)
+                    .map((item) => ({
+                      value: item.$id,
+                      label: `${item.brand} ${item.model}`,
+                    }))}
                 />
               </label>
               <label>
-                Resin price per liter (CAD)
+                Resin price per liter ({currencySettings.currency})
                 <input
                   type="number"
                   min="0"
@@ -1132,17 +3110,22 @@ export default function App() {
                 Filament from library
                 <CustomSelect
                   value={selectedFilamentId}
-                  onChange={setSelectedFilamentId}
+                  onChange={(value) => {
+                    setPinnedPrices({});
+                    setSelectedFilamentId(value);
+                  }}
                   placeholder="Select saved filament"
                   disabled={!appwriteReady}
-                  options={filaments.map((item) => ({
-                    value: item.$id,
-                    label: `${item.brand} ${item.material}`,
-                  }))}
+                  options={filaments
+                    .filter((item) => !item.archived)
+                    .map((item) => ({
+                      value: item.$id,
+                      label: `${item.brand} ${item.material}`,
+                    }))}
                 />
               </label>
               <label>
-                Filament price per kg (CAD)
+                Filament price per kg ({currencySettings.currency})
                 <input
                   type="number"
                   min="0"
@@ -1177,17 +3160,96 @@ export default function App() {
                 />
               </label>
               <label>
-                Shell factor
-                <input
-                  type="number"
-                  min="0"
-                  step="0.05"
-                  value={shellFactor}
-                  onChange={(event) => setShellFactor(Number(event.target.value))}
-                />
+                Filament model
+                <div className="segmented">
+                  <button
+                    type="button"
+                    className={fdmSettings.model === "surface" ? "active" : ""}
+                    onClick={() => updateFdmSetting("model", "surface")}
+                  >
+                    Walls + infill
+                  </button>
+                  <button
+                    type="button"
+                    className={fdmSettings.model === "volume" ? "active" : ""}
+                    onClick={() => updateFdmSetting("model", "volume")}
+                  >
+                    Shell factor
+                  </button>
+                </div>
               </label>
+              {fdmSettings.model === "surface" ? (
+                <>
+                  <label>
+                    Infill pattern
+                    <CustomSelect
+                      value={fdmSettings.infillPattern}
+                      onChange={(value) =>
+                        updateFdmSetting("infillPattern", value)
+                      }
+                      options={infillPatterns.map((pattern) => ({
+                        value: pattern.id,
+                        label: pattern.label,
+                      }))}
+                    />
+                  </label>
+                  {fdmSettingFields.map((field) => (
+                    <label key={field.key}>
+                      {field.label}
+                      <input
+                        type="number"
+                        min="0"
+                        step={field.step}
+                        value={fdmSettings[field.key]}
+                        onChange={(event) =>
+                          updateFdmSetting(
+                            field.key,
+                            Number(event.target.value)
+                          )
+                        }
+                      />
+                    </label>
+                  ))}
+                </>
+              ) : (
+                <label>
+                  Shell factor
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.05"
+                    value={shellFactor}
+                    onChange={(event) =>
+                      setShellFactor(Number(event.target.value))
+                    }
+                  />
+                </label>
+              )}
             </>
           )}
+          <label>
+            Material costing
+            <CustomSelect
+              value={costingMethod}
+              onChange={setCostingMethod}
+              options={costingMethods.map((method) => ({
+                value: method.id,
+                label: method.label,
+              }))}
+            />
+          </label>
+          {Object.keys(pinnedPrices).length > 0 && (
+            <label>
+              Saved material prices
+              <button
+                type="button"
+                className="secondary"
+                onClick={() => setPinnedPrices({})}
+              >
+                Use current stock prices
+              </button>
+            </label>
+          )}
           <label>
             Cost mode
             <div className="segmented">
@@ -1208,7 +3270,7 @@ export default function App() {
             </div>
           </label>
           <label>
-            Energy rate (CAD/kWh)
+            Energy rate ({currencySettings.currency}/kWh)
             <input
               type="number"
               min="0"
@@ -1218,29 +3280,188 @@ export default function App() {
             />
           </label>
           <label>
-            Printer power (W)
-            <input
-              type="number"
-              min="0"
-              step="10"
-              value={printerPower}
-              onChange={(event) => setPrinterPower(Number(event.target.value))}
+            Electricity tariff
+            <CustomSelect
+              value={tariffSettings.preset}
+              onChange={(value) => updateTariffSetting("preset", value)}
+              options={tariffPresets.map((preset) => ({
+                value: preset.id,
+                label: preset.label,
+              }))}
             />
           </label>
-          <label>
-            Print time {costMode === "per_project" ? "(project hours)" : "(hours per STL)"}
-            <input
-              type="number"
-              min="0"
-              step="0.1"
-              value={printHours}
-              onChange={(event) => setPrintHours(Number(event.target.value))}
-            />
+          {tariffSettings.preset === "custom" && (
+            <>
+              <label>
+                Peak from (hour)
+                <input
+                  type="number"
+                  min="0"
+                  max="24"
+                  step="1"
+                  value={tariffSettings.peakFrom}
+                  onChange={(event) =>
+                    updateTariffSetting("peakFrom", Number(event.target.value))
+                  }
+                />
+              </label>
+              <label>
+                Peak until (hour)
+                <input
+                  type="number"
+                  min="0"
+                  max="24"
+                  step="1"
+                  value={tariffSettings.peakTo}
+                  onChange={(event) =>
+                    updateTariffSetting("peakTo", Number(event.target.value))
+                  }
+                />
+              </label>
+              <label>
+                Peak rate ({currencySettings.currency}/kWh)
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={tariffSettings.peakRate}
+                  onChange={(event) =>
+                    updateTariffSetting("peakRate", Number(event.target.value))
+                  }
+                />
+              </label>
+              <label>
+                Off-peak rate ({currencySettings.currency}/kWh)
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={tariffSettings.offPeakRate}
+                  onChange={(event) =>
+                    updateTariffSetting(
+                      "offPeakRate",
+                      Number(event.target.value)
+                    )
+                  }
+                />
+              </label>
+              <label>
+                Weekend rate ({currencySettings.currency}/kWh)
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={tariffSettings.weekendRate}
+                  onChange={(event) =>
+                    updateTariffSetting(
+                      "weekendRate",
+                      Number(event.target.value)
+                    )
+                  }
+                />
+              </label>
+            </>
+          )}
+          {tariffSettings.preset !== "flat" && (
+            <label>
+              Planned start
+              <input
+                type="datetime-local"
+                value={tariffSettings.startTime}
+                onChange={(event) =>
+                  updateTariffSetting("startTime", event.target.value)
+                }
+              />
+            </label>
+          )}
+          {tariffSettings.preset !== "flat" && user && (
+            <label>
+              Location tariff
+              <button
+                type="button"
+                className="secondary"
+                onClick={handleSaveLocationTariff}
+                disabled={!location.trim()}
+              >
+                Save for this location
+              </button>
+            </label>
+          )}
+          <label>
+            Printer power (W)
+            <input
+              type="number"
+              min="0"
+              step="10"
+              value={printerPower}
+              onChange={(event) => setPrinterPower(Number(event.target.value))}
+            />
           </label>
-          {printType === "resin" && (
+          <label>
+            Print time estimate
+            <div className="segmented">
+              <button
+                type="button"
+                className={timeMode === "manual" ? "active" : ""}
+                onClick={() => setTimeMode("manual")}
+              >
+                Manual
+              </button>
+              <button
+                type="button"
+                className={timeMode === "auto" ? "active" : ""}
+                onClick={() => setTimeMode("auto")}
+              >
+                From printer
+              </button>
+            </div>
+          </label>
+          {timeMode === "manual" ? (
+            <label>
+              Print time {costMode === "per_project" ? "(project hours)" : "(hours per STL)"}
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={printHours}
+                onChange={(event) => setPrintHours(Number(event.target.value))}
+              />
+            </label>
+          ) : (
+            <PrinterProfileFields
+              profile={printerProfile}
+              onChange={setPrinterProfile}
+              groups={[printType]}
+            />
+          )}
+          <PrinterProfileFields
+            profile={printerProfile}
+            onChange={setPrinterProfile}
+            groups={["build", "machine"]}
+          />
+          {hasResinParts && (
             <>
               <label>
-                Support estimate ({supportPercent}%)
+                Support estimate
+                <div className="segmented">
+                  <button
+                    type="button"
+                    className={supportMode === "percent" ? "active" : ""}
+                    onClick={() => setSupportMode("percent")}
+                  >
+                    Percentage
+                  </button>
+                  <button
+                    type="button"
+                    className={supportMode === "geometry" ? "active" : ""}
+                    onClick={() => setSupportMode("geometry")}
+                  >
+                    Geometry
+                  </button>
+                </div>
+              </label>
+              <label>
+                Support percentage ({supportPercent}%)
                 <input
                   type="range"
                   min="0"
@@ -1251,6 +3472,65 @@ export default function App() {
                   }
                 />
               </label>
+              <label>
+                Build orientation (up axis)
+                <select
+                  value={buildAxis}
+                  onChange={(event) => setBuildAxis(event.target.value)}
+                >
+                  {Object.keys(buildAxes).map((axis) => (
+                    <option key={axis} value={axis}>
+                      {axis.toUpperCase()}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Overhang angle (°)
+                <input
+                  type="number"
+                  min="0"
+                  max="89"
+                  step="1"
+                  value={supportSettings.overhangAngle}
+                  onChange={(event) =>
+                    setSupportSettings((prev) => ({
+                      ...prev,
+                      overhangAngle: Number(event.target.value),
+                    }))
+                  }
+                />
+              </label>
+              <label>
+                Support tip diameter (mm)
+                <input
+                  type="number"
+                  min="0"
+                  step="0.05"
+                  value={supportSettings.tipDiameter}
+                  onChange={(event) =>
+                    setSupportSettings((prev) => ({
+                      ...prev,
+                      tipDiameter: Number(event.target.value),
+                    }))
+                  }
+                />
+              </label>
+              <label>
+                Support density (per cm²)
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={supportSettings.densityPerCm2}
+                  onChange={(event) =>
+                    setSupportSettings((prev) => ({
+                      ...prev,
+                      densityPerCm2: Number(event.target.value),
+                    }))
+                  }
+                />
+              </label>
               <label className="toggle">
                 <input
                   type="checkbox"
@@ -1263,6 +3543,89 @@ export default function App() {
               </label>
             </>
           )}
+          {hasResinParts && (
+            <>
+              <label className="toggle">
+                <input
+                  type="checkbox"
+                  checked={hollowSettings.enabled}
+                  onChange={(event) =>
+                    setHollowSettings((prev) => ({
+                      ...prev,
+                      enabled: event.target.checked,
+                    }))
+                  }
+                />
+                Hollow resin parts
+              </label>
+              {hollowSettings.enabled && (
+                <>
+                  <label>
+                    Wall thickness (mm)
+                    <input
+                      type="number"
+                      min="0.5"
+                      step="0.5"
+                      value={hollowSettings.wallThickness}
+                      onChange={(event) =>
+                        setHollowSettings((prev) => ({
+                          ...prev,
+                          wallThickness: Number(event.target.value),
+                        }))
+                      }
+                    />
+                  </label>
+                  <label className="toggle">
+                    <input
+                      type="checkbox"
+                      checked={hollowSettings.drainHoles}
+                      onChange={(event) =>
+                        setHollowSettings((prev) => ({
+                          ...prev,
+                          drainHoles: event.target.checked,
+                        }))
+                      }
+                    />
+                    Drain holes
+                  </label>
+                  {hollowSettings.drainHoles && (
+                    <>
+                      <label>
+                        Drain holes per part
+                        <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={hollowSettings.drainHoleCount}
+                          onChange={(event) =>
+                            setHollowSettings((prev) => ({
+                              ...prev,
+                              drainHoleCount: Number(event.target.value),
+                            }))
+                          }
+                        />
+                      </label>
+                      <label>
+                        Drain hole diameter (mm)
+                        <input
+                          type="number"
+                          min="0.5"
+                          step="0.5"
+                          value={hollowSettings.drainHoleDiameter}
+                          onChange={(event) =>
+                            setHollowSettings((prev) => ({
+                              ...prev,
+                              drainHoleDiameter: Number(event.target.value),
+                            }))
+                          }
+                        />
+                      </label>
+                    </>
+                  )}
+                </>
+              )}
+            </>
+          )}
           <label className="toggle">
             <input
               type="checkbox"
@@ -1272,18 +3635,66 @@ export default function App() {
             Include energy in cost
           </label>
         </div>
-        {printType === "resin" && (
+        {hasResinParts && (
+          <p className="hint">
+            {supportPendingCount > 0 &&
+              `Estimating supports for ${supportPendingCount} part${
+                supportPendingCount > 1 ? "s" : ""
+              }; until then they use the percentage. `}
+            Support volume is estimated either as a percentage of model volume
+            or from overhanging faces for the chosen orientation, angle, tip
+            size and density. For accurate values, use a slicer.
+          </p>
+        )}
+        {hasResinParts && hollowSettings.enabled && (
           <p className="hint">
-            Support volume is an estimate based on a percentage of model volume.
-            For accurate values, use a slicer.
+            {hollowPendingCount > 0 &&
+              `Hollowing ${hollowPendingCount} part${
+                hollowPendingCount > 1 ? "s" : ""
+              }; until then they are priced solid. `}
+            Hollowed parts are priced on their shell: the model is voxelized and
+            everything deeper than the wall thickness counts as cavity. This
+            needs a closed mesh. Without drain holes, uncured resin stays
+            trapped in the cavity. Use the Section preview to check the walls.
           </p>
         )}
+        <p className="hint">
+          Library materials with purchase batches in Inventory are priced from
+          those batches using the costing method; others use the library price.
+        </p>
         <p className="hint">
           Energy cost uses your local rate, printer wattage, and print time.
+          With a time-of-use tariff it is split across peak, off-peak and
+          weekend periods from the planned start; hours no period covers use the
+          energy rate above.
         </p>
+        {tariffSettings.preset !== "flat" && !tariffSettings.startTime && (
+          <p className="warning">
+            Set a planned start to apply the tariff. Energy is priced at the
+            flat rate until then.
+          </p>
+        )}
+        {timeMode === "auto" && (
+          <p className="hint">
+            {printType === "resin"
+              ? "Print time is derived from each model's height, layer height, exposure and lift settings."
+              : "Print time is derived from extruded volume and the printer's flow rate."}
+          </p>
+        )}
         {printType === "filament" && (
           <p className="hint">
-            Filament usage is estimated from STL volume, infill, and density.
+            {fdmSettings.model === "surface" &&
+              fdmPendingCount > 0 &&
+              `Measuring ${fdmPendingCount} part${
+                fdmPendingCount > 1 ? "s" : ""
+              }; until then they use the shell factor. `}
+            {fdmSettings.model === "surface"
+              ? "Filament usage is built from the mesh: perimeters follow the " +
+                "side surface, top and bottom layers the flat surfaces, and " +
+                "infill the volume left inside. Manual estimates are priced " +
+                "on the grams typed in."
+              : "Filament usage is estimated from STL volume, infill, and " +
+                "density."}
           </p>
         )}
       </section>
@@ -1340,6 +3751,21 @@ export default function App() {
                 placeholder="Build plate, settings, etc."
               />
             </label>
+            <PrinterProfileFields
+              profile={newPrinter.profile}
+              onChange={(profile) =>
+                setNewPrinter((prev) => ({ ...prev, profile }))
+              }
+            />
+            <ConsumablesFields
+              consumables={newPrinter.profile.consumables ?? []}
+              onChange={(consumables) =>
+                setNewPrinter((prev) => ({
+                  ...prev,
+                  profile: { ...prev.profile, consumables },
+                }))
+              }
+            />
             <button
               type="submit"
               className="primary"
@@ -1360,7 +3786,7 @@ export default function App() {
                 disabled={!appwriteReady}
                 options={printers.map((item) => ({
                   value: item.$id,
-                  label: `${item.name} · ${item.model}`,
+                  label: libraryLabel(`${item.name} · ${item.model}`, item),
                 }))}
               />
             </label>
@@ -1403,6 +3829,21 @@ export default function App() {
                 }
               />
             </label>
+            <PrinterProfileFields
+              profile={editPrinter.profile}
+              onChange={(profile) =>
+                setEditPrinter((prev) => ({ ...prev, profile }))
+              }
+            />
+            <ConsumablesFields
+              consumables={editPrinter.profile.consumables ?? []}
+              onChange={(consumables) =>
+                setEditPrinter((prev) => ({
+                  ...prev,
+                  profile: { ...prev.profile, consumables },
+                }))
+              }
+            />
             <button
               type="submit"
               className="secondary"
@@ -1410,6 +3851,27 @@ export default function App() {
             >
               Update printer
             </button>
+            <LibraryItemActions
+              item={printers.find((item) => item.$id === editPrinterId)}
+              disabled={!user || !appwriteReady}
+              onArchive={(archived) =>
+                setDocumentArchived(
+                  appwriteConfig.printersCollectionId,
+                  setPrinters,
+                  editPrinterId,
+                  archived,
+                  "printer"
+                )
+              }
+              onDelete={() =>
+                deleteLibraryDocument(
+                  appwriteConfig.printersCollectionId,
+                  setPrinters,
+                  editPrinterId,
+                  "printer"
+                ).then((deleted) => deleted && setEditPrinterId(""))
+              }
+            />
           </form>
           <form onSubmit={handleAddResin}>
             <h3>Resins</h3>
@@ -1442,7 +3904,17 @@ export default function App() {
               />
             </label>
             <label>
-              Price per liter (CAD)
+              Currency
+              <CustomSelect
+                value={newResin.currency || currencySettings.currency}
+                onChange={(currency) =>
+                  setNewResin((prev) => ({ ...prev, currency }))
+                }
+                options={currencyOptions}
+              />
+            </label>
+            <label>
+              Price per liter ({newResin.currency || currencySettings.currency})
               <input
                 type="number"
                 min="0"
@@ -1476,7 +3948,7 @@ export default function App() {
                 disabled={!appwriteReady}
                 options={resins.map((item) => ({
                   value: item.$id,
-                  label: `${item.brand} ${item.model}`,
+                  label: libraryLabel(`${item.brand} ${item.model}`, item),
                 }))}
               />
             </label>
@@ -1507,7 +3979,17 @@ export default function App() {
               />
             </label>
             <label>
-              Price per liter (CAD)
+              Currency
+              <CustomSelect
+                value={editResin.currency || currencySettings.currency}
+                onChange={(currency) =>
+                  setEditResin((prev) => ({ ...prev, currency }))
+                }
+                options={currencyOptions}
+              />
+            </label>
+            <label>
+              Price per liter ({editResin.currency || currencySettings.currency})
               <input
                 type="number"
                 min="0"
@@ -1528,6 +4010,27 @@ export default function App() {
             >
               Update resin
             </button>
+            <LibraryItemActions
+              item={resins.find((item) => item.$id === editResinId)}
+              disabled={!user || !appwriteReady}
+              onArchive={(archived) =>
+                setDocumentArchived(
+                  appwriteConfig.resinsCollectionId,
+                  setResins,
+                  editResinId,
+                  archived,
+                  "resin"
+                )
+              }
+              onDelete={() =>
+                deleteLibraryDocument(
+                  appwriteConfig.resinsCollectionId,
+                  setResins,
+                  editResinId,
+                  "resin"
+                ).then((deleted) => deleted && setEditResinId(""))
+              }
+            />
           </form>
           <form onSubmit={handleAddFilament}>
             <h3>Filaments</h3>
@@ -1560,7 +4063,17 @@ export default function App() {
               />
             </label>
             <label>
-              Price per kg (CAD)
+              Currency
+              <CustomSelect
+                value={newFilament.currency || currencySettings.currency}
+                onChange={(currency) =>
+                  setNewFilament((prev) => ({ ...prev, currency }))
+                }
+                options={currencyOptions}
+              />
+            </label>
+            <label>
+              Price per kg ({newFilament.currency || currencySettings.currency})
               <input
                 type="number"
                 min="0"
@@ -1609,7 +4122,7 @@ export default function App() {
                 disabled={!appwriteReady}
                 options={filaments.map((item) => ({
                   value: item.$id,
-                  label: `${item.brand} ${item.material}`,
+                  label: libraryLabel(`${item.brand} ${item.material}`, item),
                 }))}
               />
             </label>
@@ -1640,7 +4153,17 @@ export default function App() {
               />
             </label>
             <label>
-              Price per kg (CAD)
+              Currency
+              <CustomSelect
+                value={editFilament.currency || currencySettings.currency}
+                onChange={(currency) =>
+                  setEditFilament((prev) => ({ ...prev, currency }))
+                }
+                options={currencyOptions}
+              />
+            </label>
+            <label>
+              Price per kg ({editFilament.currency || currencySettings.currency})
               <input
                 type="number"
                 min="0"
@@ -1676,6 +4199,27 @@ export default function App() {
             >
               Update filament
             </button>
+            <LibraryItemActions
+              item={filaments.find((item) => item.$id === editFilamentId)}
+              disabled={!user || !appwriteReady}
+              onArchive={(archived) =>
+                setDocumentArchived(
+                  appwriteConfig.filamentsCollectionId,
+                  setFilaments,
+                  editFilamentId,
+                  archived,
+                  "filament"
+                )
+              }
+              onDelete={() =>
+                deleteLibraryDocument(
+                  appwriteConfig.filamentsCollectionId,
+                  setFilaments,
+                  editFilamentId,
+                  "filament"
+                ).then((deleted) => deleted && setEditFilamentId(""))
+              }
+            />
           </form>
         </div>
       </details>
@@ -1693,6 +4237,13 @@ export default function App() {
           >
             Upload STL
           </button>
+          <button
+            type="button"
+            className={inputMode === "sliced" ? "active" : ""}
+            onClick={() => setInputMode("sliced")}
+          >
+            Sliced files
+          </button>
           <button
             type="button"
             className={inputMode === "manual" ? "active" : ""}
@@ -1707,14 +4258,20 @@ export default function App() {
         <section className="card uploader">
           <div>
             <h2>Upload STL</h2>
-            <p>Select one or more files. Calculation runs locally.</p>
+            <p>
+              Select one or more STL, 3MF, OBJ or PLY files. Calculation runs
+              locally.
+            </p>
           </div>
         <label className="file-input">
           <input
             type="file"
-            accept=".stl"
+            accept={supportedExtensions.join(",")}
             multiple
-            onChange={(event) => setFiles(Array.from(event.target.files || []))}
+            onChange={(event) => {
+              setPinnedPrices({});
+              setFiles(Array.from(event.target.files || []));
+            }}
           />
           <span>Select files</span>
         </label>
@@ -1732,6 +4289,29 @@ export default function App() {
           </p>
         )}
         </section>
+      ) : inputMode === "sliced" ? (
+        <section className="card uploader">
+          <div>
+            <h2>Sliced files</h2>
+            <p>
+              Select G-code from PrusaSlicer, Orca, Bambu Studio or Cura, or
+              resin slice files (.sl1, .ctb, .pwmx). Material, print time and
+              layer count are read from the file.
+            </p>
+          </div>
+          <label className="file-input">
+            <input
+              type="file"
+              accept={slicedExtensions.join(",")}
+              multiple
+              onChange={(event) => {
+                setPinnedPrices({});
+                setSlicedFiles(Array.from(event.target.files || []));
+              }}
+            />
+            <span>Select files</span>
+          </label>
+        </section>
       ) : (
         <section className="card uploader">
           <div>
@@ -1792,27 +4372,285 @@ export default function App() {
             <h2>STL Preview</h2>
             <p>Inspect the model and orbit with your mouse.</p>
           </div>
-          <select
-            value={selectedPreviewIndex}
-            onChange={(event) =>
-              setSelectedPreviewIndex(Number(event.target.value))
-            }
-            disabled={!files.length}
-          >
-            {files.length === 0 && <option>No file selected</option>}
-            {files.map((file, index) => (
-              <option key={file.name} value={index}>
-                {file.name}
-              </option>
-            ))}
-          </select>
+          <div className="preview-actions">
+            <div className="segmented">
+              <button
+                type="button"
+                className={previewMode === "model" ? "active" : ""}
+                onClick={() => setPreviewMode("model")}
+              >
+                Model
+              </button>
+              <button
+                type="button"
+                className={previewMode === "plate" ? "active" : ""}
+                onClick={() => setPreviewMode("plate")}
+                disabled={!plateLayout}
+              >
+                Plate layout
+              </button>
+              <button
+                type="button"
+                className={previewMode === "section" ? "active" : ""}
+                onClick={() => setPreviewMode("section")}
+                disabled={!hollowSettings.enabled}
+              >
+                Section
+              </button>
+            </div>
+            {previewMode === "section" && (
+              <label className="section-slider">
+                Cut at {sectionPercent}%
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  step="1"
+                  value={sectionPercent}
+                  onChange={(event) =>
+                    setSectionPercent(Number(event.target.value))
+                  }
+                />
+              </label>
+            )}
+            {previewMode !== "plate" ? (
+              <select
+                value={selectedPreviewIndex}
+                onChange={(event) =>
+                  setSelectedPreviewIndex(Number(event.target.value))
+                }
+                disabled={!files.length}
+              >
+                {files.length === 0 && <option>No file selected</option>}
+                {files.map((file, index) => (
+                  <option key={file.name} value={index}>
+                    {file.name}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <select
+                value={selectedPlateIndex}
+                onChange={(event) =>
+                  setSelectedPlateIndex(Number(event.target.value))
+                }
+              >
+                {plateLayout?.plates.map((plate, index) => (
+                  <option key={index} value={index}>
+                    Plate {index + 1} ({plate.placements.length} parts)
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
         </div>
+        {previewMode === "model" && previewGeometry && previewResult && (
+          <div className="orientation-bar">
+            <label>
+              Orientation
+              <select
+                value={
+                  itemSettings[previewResult.name]?.orientation
+                    ? orientationLabel(previewUp)
+                    : ""
+                }
+                onChange={(event) =>
+                  setItemOrientation(
+                    previewResult.name,
+                    orientationCandidates.find(
+                      (candidate) => candidate.label === event.target.value
+                    )?.up ?? null
+                  )
+                }
+              >
+                <option value="">
+                  Build axis ({buildAxis.toUpperCase()})
+                </option>
+                {orientationCandidates.map((candidate) => (
+                  <option key={candidate.label} value={candidate.label}>
+                    {candidate.label} up
+                  </option>
+                ))}
+              </select>
+            </label>
+            {scoringOrientation ? (
+              <>
+                <span className="loading">
+                  Scoring orientations for {scoringOrientation}...
+                </span>
+                <button
+                  type="button"
+                  className="secondary"
+                  onClick={handleCancelOrientation}
+                >
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <button
+                type="button"
+                className="secondary"
+                onClick={handleSuggestOrientation}
+              >
+                Suggest orientation
+              </button>
+            )}
+            {orientationProposal?.name === previewResult.name && (
+              <OrientationProposal
+                candidates={orientationProposal.candidates}
+                currentUp={previewUp}
+                numberFormatter={numberFormatter}
+                onAccept={(up) => setItemOrientation(previewResult.name, up)}
+              />
+            )}
+          </div>
+        )}
+        {previewMode === "model" && previewGeometry && (
+          <div className="preview-toolbar">
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={showDimensions}
+                onChange={(event) => setShowDimensions(event.target.checked)}
+              />
+              Dimensions
+            </label>
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={clipSettings.enabled}
+                onChange={(event) =>
+                  setClipSettings((prev) => ({
+                    ...prev,
+                    enabled: event.target.checked,
+                  }))
+                }
+              />
+              Clip
+            </label>
+            {clipSettings.enabled && (
+              <>
+                <select
+                  value={clipSettings.axis}
+                  onChange={(event) =>
+                    setClipSettings((prev) => ({
+                      ...prev,
+                      axis: event.target.value,
+                    }))
+                  }
+                >
+                  <option value="y">Height</option>
+                  <option value="x">Width</option>
+                  <option value="z">Depth</option>
+                </select>
+                <label className="section-slider">
+                  at {clipSettings.percent}%
+                  <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={clipSettings.percent}
+                    onChange={(event) =>
+                      setClipSettings((prev) => ({
+                        ...prev,
+                        percent: Number(event.target.value),
+                      }))
+                    }
+                  />
+                </label>
+                <span>or drag the plane.</span>
+              </>
+            )}
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={measureEnabled}
+                onChange={(event) => setMeasureEnabled(event.target.checked)}
+              />
+              Measure
+            </label>
+            {measureEnabled && (
+              <span>
+                {measuredDistance != null
+                  ? `Distance: ${numberFormatter.format(measuredDistance)} mm`
+                  : "Click two points on the model."}
+              </span>
+            )}
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={heatmapSettings.enabled}
+                onChange={(event) =>
+                  setHeatmapSettings((prev) => ({
+                    ...prev,
+                    enabled: event.target.checked,
+                  }))
+                }
+              />
+              Overhangs &amp; thin walls
+            </label>
+            {heatmapSettings.enabled && (
+              <label>
+                Min wall (mm)
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={minWallInput}
+                  onChange={(event) => {
+                    const value = event.target.value;
+                    setMinWallInput(value);
+                    if (Number(value) > 0) {
+                      setHeatmapSettings((prev) => ({
+                        ...prev,
+                        minWallMm: Number(value),
+                      }));
+                    }
+                  }}
+                />
+              </label>
+            )}
+            {isMeasuringHeatmap && (
+              <span className="loading">Measuring walls...</span>
+            )}
+            {previewHeatmap && (
+              <span className="heatmap-legend">
+                <span className="swatch overhang" />
+                {previewHeatmap.overhangCount} overhanging faces
+                <span className="swatch thin-wall" />
+                {previewThinCount} faces under{" "}
+                {numberFormatter.format(heatmapSettings.minWallMm)} mm
+              </span>
+            )}
+          </div>
+        )}
         <div className="preview-canvas" ref={previewRef}>
-          {!previewGeometry && !previewError && (
+          {previewMode === "model" && !previewGeometry && !previewError && (
             <p className="empty">Upload STL files to preview.</p>
           )}
-          {previewError && <p className="error">{previewError}</p>}
+          {previewMode === "plate" && !plateLayout && (
+            <p className="empty">
+              Set the printer build volume to see the plate layout.
+            </p>
+          )}
+          {previewMode === "section" && !sectionHollow && (
+            <p className="empty">
+              Turn on hollowing and pick a resin part to see its cross-section.
+            </p>
+          )}
+          {previewMode === "model" && previewError && (
+            <p className="error">{previewError}</p>
+          )}
         </div>
+        {plateLayout?.unplaced.length > 0 && (
+          <p className="error">
+            {plateLayout.unplaced.length} part(s) don't fit the build volume:{" "}
+            {[...new Set(plateLayout.unplaced.map((part) => part.name))].join(
+              ", "
+            )}
+          </p>
+        )}
       </section>
 
       <section className="card summary">
@@ -1841,6 +4679,7 @@ export default function App() {
           <div className="metric-card">
             <span>Valid items</span>
             <strong>{totals.validItems}</strong>
+            <span className="subtitle">{totals.totalCopies} copies</span>
           </div>
           <div className="metric-card">
             <span>
@@ -1852,6 +4691,22 @@ export default function App() {
                 : `${numberFormatter.format(totals.totalFilamentGrams)} g`}
             </strong>
           </div>
+          <div className="metric-card">
+            <span>Build plates</span>
+            <strong>{plateLayout ? plateLayout.plates.length : "-"}</strong>
+            {plateLayout && (
+              <span className="subtitle">
+                {plateLayout.plate.width} × {plateLayout.plate.depth} mm
+              </span>
+            )}
+          </div>
+          <div className="metric-card">
+            <span>Print time</span>
+            <strong>{numberFormatter.format(printHoursTotal)} h</strong>
+            <span className="subtitle">
+              {timeMode === "auto" ? "estimated" : "manual"}
+            </span>
+          </div>
           <div className="metric-card">
             <span>Energy cost</span>
             <strong>{currencyFormatter.format(energyCostTotal)}</strong>
@@ -1859,18 +4714,107 @@ export default function App() {
               {costMode === "per_project" ? "per project" : "per STL"}
             </span>
           </div>
+          {pricing.machineRate > 0 && (
+            <div className="metric-card">
+              <span>Machine time</span>
+              <strong>{currencyFormatter.format(machineCostTotal)}</strong>
+              <span className="subtitle">
+                {currencyFormatter.format(pricing.machineRate)}/h
+              </span>
+            </div>
+          )}
           <div className="metric-card total">
             <span>Total cost (incl. energy)</span>
             <strong>{currencyFormatter.format(totalCostWithEnergy)}</strong>
           </div>
         </div>
+        {pricing.energySplit.length > 0 && (
+          <ul className="item-list energy-split">
+            {pricing.energySplit.map((period) => (
+              <li key={period.name}>
+                <strong>{period.name}</strong> ·{" "}
+                {numberFormatter.format(period.hours)} h · energy{" "}
+                {currencyFormatter.format(period.cost)}
+              </li>
+            ))}
+          </ul>
+        )}
+        {materialSummary.length > 0 && (
+          <ul className="item-list material-summary">
+            {materialSummary.map((item) => (
+              <li key={item.key}>
+                <strong>{item.name}</strong> ·{" "}
+                {item.printType === "resin" ? (
+                  <>
+                    {numberFormatter.format(item.volumeMl)} ml (
+                    {numberFormatter.format(item.supportMl)} ml supports)
+                  </>
+                ) : (
+                  <>{numberFormatter.format(item.filamentGrams)} g</>
+                )}{" "}
+                · {item.copies} part(s) · material{" "}
+                {currencyFormatter.format(item.materialCost)} · total{" "}
+                {currencyFormatter.format(item.cost)}
+              </li>
+            ))}
+          </ul>
+        )}
       </section>
 
       <section className="card table">
         <div className="table-header">
           <h2>STL breakdown</h2>
-          {isLoading && <span className="loading">Calculating...</span>}
+          {!isLoading && enrichedResults.length > 0 && (
+            <div className="table-actions">
+              <button
+                type="button"
+                className="secondary"
+                onClick={handleExportCsv}
+              >
+                Export CSV
+              </button>
+              <button
+                type="button"
+                className="secondary"
+                onClick={handleExportJson}
+              >
+                Export JSON
+              </button>
+              <button
+                type="button"
+                className="secondary"
+                onClick={handlePrintQuote}
+              >
+                Print quote
+              </button>
+            </div>
+          )}
+          {isLoading && (
+            <div className="table-actions">
+              <span className="loading">
+                Calculating{" "}
+                {fileProgress.filter((entry) => entry.stage === "done").length}
+                /{fileProgress.length}...
+              </span>
+              <button
+                type="button"
+                className="secondary"
+                onClick={handleCancelParsing}
+              >
+                Cancel
+              </button>
+            </div>
+          )}
         </div>
+        {isLoading && (
+          <ul className="item-list">
+            {fileProgress.map((entry, index) => (
+              <li key={`${entry.name}-${index}`}>
+                <strong>{entry.name}</strong> · {entry.stage}
+              </li>
+            ))}
+          </ul>
+        )}
         {enrichedResults.length === 0 ? (
           <p className="empty">
             Upload STL files to see the breakdown.
@@ -1878,33 +4822,140 @@ export default function App() {
         ) : (
           <div className="table-grid">
             <div>File</div>
-            <div>Volume (mm³)</div>
-            <div>{printType === "resin" ? "Volume (ml)" : "Filament (g)"}</div>
-            <div>{printType === "resin" ? "Supports (ml)" : "Material"}</div>
+            <div>Qty / scale</div>
+            <div>Volume (mm³, each)</div>
+            <div>
+              {mixedProcesses
+                ? "Volume (ml) / filament (g)"
+                : breakdownPrintType === "resin"
+                  ? "Volume (ml)"
+                  : "Filament (g)"}
+            </div>
+            <div>
+              {mixedProcesses
+                ? "Supports (ml) / material"
+                : breakdownPrintType === "resin"
+                  ? "Supports (ml)"
+                  : "Material"}
+            </div>
             <div>Energy</div>
             <div>Cost</div>
             <div>Status</div>
             {enrichedResults.map((result) => (
               <div className="row" key={result.name}>
-                <span>{result.name}</span>
+                <span>
+                  {result.name}
+                  {result.objectCount > 1 && (
+                    <span className="subtitle">
+                      {result.objectCount} objects
+                    </span>
+                  )}
+                  {!result.error && result.materialKey !== "job" && (
+                    <span className="subtitle">{result.materialName}</span>
+                  )}
+                  {!result.error && result.orientation && (
+                    <span className="subtitle">
+                      {orientationLabel(result.orientation)} up
+                    </span>
+                  )}
+                  {result.sliced && (
+                    <span className="subtitle">
+                      {result.sliced.slicer}
+                      {result.sliced.layerCount
+                        ? ` · ${result.sliced.layerCount} layers`
+                        : ""}
+                    </span>
+                  )}
+                </span>
+                <span>
+                  {result.error && !result.sliced ? (
+                    "-"
+                  ) : (
+                    <ItemControls
+                      settings={
+                        itemSettings[result.name] ?? defaultItemSettings
+                      }
+                      onChange={(settings) =>
+                        setItemSettings((prev) => ({
+                          ...prev,
+                          [result.name]: settings,
+                        }))
+                      }
+                      materialOptions={libraryMaterials}
+                      fixedSize={Boolean(result.sliced)}
+                    />
+                  )}
+                </span>
                 <span>
                   {result.error
                     ? "-"
-                    : numberFormatter.format(result.volumeMm3)}
+                    : numberFormatter.format(result.scaledVolumeMm3)}
                 </span>
                 <span>
                   {result.error
                     ? "-"
-                    : printType === "resin"
-                      ? numberFormatter.format(result.volumeMl)
-                      : numberFormatter.format(result.filamentGrams)}
+                    : result.printType === "resin"
+                      ? `${numberFormatter.format(result.volumeMl)}${
+                          mixedProcesses ? " ml" : ""
+                        }`
+                      : `${numberFormatter.format(result.filamentGrams)}${
+                          mixedProcesses ? " g" : ""
+                        }`}
+                  {!result.error && result.hollow && (
+                    <span className="subtitle">
+                      hollow,{" "}
+                      {numberFormatter.format(result.hollow.wallThickness)} mm
+                      walls ·{" "}
+                      {numberFormatter.format(result.solidVolumeMl)} ml solid
+                    </span>
+                  )}
                 </span>
                 <span>
                   {result.error
                     ? "-"
-                    : printType === "resin"
+                    : result.printType === "resin"
                       ? numberFormatter.format(result.supportVolumeMl)
                       : currencyFormatter.format(result.materialCost)}
+                  {!result.error &&
+                    result.printType === "resin" &&
+                    result.geometrySupportVolumeMl != null && (
+                      <span className="subtitle">
+                        {supportMode === "geometry"
+                          ? `${numberFormatter.format(
+                              result.percentSupportVolumeMl
+                            )} ml at ${supportPercent}%`
+                          : `${numberFormatter.format(
+                              result.geometrySupportVolumeMl
+                            )} ml from geometry`}
+                        {" · "}
+                        {numberFormatter.format(
+                          result.supportEstimate.supportedAreaMm2
+                        )}{" "}
+                        mm² supported
+                      </span>
+                    )}
+                  {!result.error && result.filamentBreakdown && (
+                    <span className="subtitle">
+                      shell{" "}
+                      {numberFormatter.format(
+                        result.filamentBreakdown.shellGrams
+                      )}{" "}
+                      g · top/bottom{" "}
+                      {numberFormatter.format(
+                        result.filamentBreakdown.topBottomGrams
+                      )}{" "}
+                      g · infill{" "}
+                      {numberFormatter.format(
+                        result.filamentBreakdown.infillGrams
+                      )}{" "}
+                      g ·{" "}
+                      {fdmLayerCount(
+                        result.fdmSurfaces.heightMm,
+                        fdmSettings
+                      )}{" "}
+                      layers
+                    </span>
+                  )}
                 </span>
                 <span>
                   {result.error
@@ -1912,14 +4963,51 @@ export default function App() {
                     : costMode === "per_project"
                       ? "-"
                       : currencyFormatter.format(result.energyCost)}
+                  {!result.error && (
+                    <span className="subtitle">
+                      {numberFormatter.format(result.printHours)} h
+                      {result.timeSource === "auto"
+                        ? " (estimated)"
+                        : result.timeSource === "sliced"
+                          ? " (from slicer)"
+                          : ""}
+                    </span>
+                  )}
+                  {!result.error && result.machineCost > 0 && (
+                    <span className="subtitle">
+                      + {currencyFormatter.format(result.machineCost)} machine
+                    </span>
+                  )}
                 </span>
                 <span>
                   {result.error
                     ? "-"
                     : currencyFormatter.format(result.cost)}
+                  {!result.error && result.quantity > 1 && (
+                    <span className="subtitle">
+                      {currencyFormatter.format(result.unitCost)} each
+                    </span>
+                  )}
                 </span>
-                <span className={result.error ? "error" : "ok"}>
-                  {result.error ? result.error : "OK"}
+                <span
+                  className={
+                    result.error || result.analysis?.status === "error"
+                      ? "error"
+                      : result.analysis?.status === "warning"
+                        ? "warning"
+                        : "ok"
+                  }
+                  title={result.analysis?.issues
+                    .map((issue) => issue.message)
+                    .join("\n")}
+                >
+                  {result.error
+                    ? result.error
+                    : result.analysis?.issues.length
+                      ? result.analysis.issues
+                          .map((issue) => issue.message)
+                          .join(", ")
+                      : "OK"}
                 </span>
               </div>
             ))}
@@ -1927,6 +5015,436 @@ export default function App() {
         )}
       </section>
 
+      <section className="card quote">
+        <h2>Quote</h2>
+        <div className="form-grid">
+          <label>
+            Customer
+            <input
+              type="text"
+              value={quoteSettings.customerName}
+              placeholder="Customer name"
+              onChange={(event) =>
+                updateQuoteSetting("customerName", event.target.value)
+              }
+            />
+          </label>
+          <label>
+            Profit margin (%)
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={quoteSettings.marginPercent}
+              onChange={(event) =>
+                updateQuoteSetting("marginPercent", Number(event.target.value))
+              }
+            />
+          </label>
+          <label>
+            Labor rate (per hour)
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={quoteSettings.laborRate}
+              onChange={(event) =>
+                updateQuoteSetting("laborRate", Number(event.target.value))
+              }
+            />
+          </label>
+          <label>
+            Post-processing (min per part)
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={quoteSettings.laborMinutesPerPart}
+              onChange={(event) =>
+                updateQuoteSetting(
+                  "laborMinutesPerPart",
+                  Number(event.target.value)
+                )
+              }
+            />
+          </label>
+          <label>
+            Failure buffer (%)
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={quoteSettings.failureRatePercent}
+              onChange={(event) =>
+                updateQuoteSetting(
+                  "failureRatePercent",
+                  Number(event.target.value)
+                )
+              }
+            />
+          </label>
+          <label>
+            Shipping
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={quoteSettings.shipping}
+              onChange={(event) =>
+                updateQuoteSetting("shipping", Number(event.target.value))
+              }
+            />
+          </label>
+          <label>
+            Minimum order price
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={quoteSettings.minimumOrder}
+              onChange={(event) =>
+                updateQuoteSetting("minimumOrder", Number(event.target.value))
+              }
+            />
+          </label>
+          <label>
+            Sales tax region
+            <CustomSelect
+              value={quoteSettings.taxRegion}
+              onChange={(value) => updateQuoteSetting("taxRegion", value)}
+              placeholder="Select region"
+              options={taxRegions.map((region) => ({
+                value: region.id,
+                label: region.label,
+              }))}
+            />
+          </label>
+          {quoteSettings.taxRegion === "custom" && (
+            <label>
+              Sales tax (%)
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={quoteSettings.customTaxPercent}
+                onChange={(event) =>
+                  updateQuoteSetting(
+                    "customTaxPercent",
+                    Number(event.target.value)
+                  )
+                }
+              />
+            </label>
+          )}
+        </div>
+        {quote.lines.length === 0 ? (
+          <p className="empty">Add STL files to build a quote.</p>
+        ) : (
+          <div className="quote-sheet">
+            <div className="quote-heading">
+              <strong>
+                Quote{quote.customerName ? ` for ${quote.customerName}` : ""}
+              </strong>
+              <span>{new Date().toLocaleDateString()}</span>
+            </div>
+            <div className="quote-lines">
+              <div>Item</div>
+              <div>Qty</div>
+              <div>Unit price</div>
+              <div>Total</div>
+              {quote.lines.map((line, index) => (
+                <div className="row" key={`${line.name}-${index}`}>
+                  <span>{line.name}</span>
+                  <span>{line.quantity || "-"}</span>
+                  <span>
+                    {line.quantity
+                      ? currencyFormatter.format(line.unitPrice)
+                      : "-"}
+                  </span>
+                  <span>{currencyFormatter.format(line.total)}</span>
+                </div>
+              ))}
+            </div>
+            <dl className="quote-totals">
+              <dt>Subtotal</dt>
+              <dd>{currencyFormatter.format(quote.subtotal)}</dd>
+              {quote.minimumAdjustment > 0 && (
+                <>
+                  <dt>Minimum order adjustment</dt>
+                  <dd>{currencyFormatter.format(quote.minimumAdjustment)}</dd>
+                </>
+              )}
+              {quote.shipping > 0 && (
+                <>
+                  <dt>Shipping</dt>
+                  <dd>{currencyFormatter.format(quote.shipping)}</dd>
+                </>
+              )}
+              <dt>Sales tax ({numberFormatter.format(quote.taxRate)}%)</dt>
+              <dd>{currencyFormatter.format(quote.tax)}</dd>
+              <dt className="grand-total">Grand total</dt>
+              <dd className="grand-total">
+                {currencyFormatter.format(quote.grandTotal)}
+              </dd>
+            </dl>
+            <p className="hint">
+              Estimated profit: {currencyFormatter.format(quote.profit)}
+            </p>
+          </div>
+        )}
+      </section>
+
+      <section className="card inventory">
+        <h2>Inventory</h2>
+        <h3>This job</h3>
+        {stockAvailability.length === 0 ? (
+          <p className="empty">
+            {consumption.untracked.length > 0
+              ? "Pick the job material from the Library to check stock."
+              : "Add files to check stock for this job."}
+          </p>
+        ) : (
+          <ul className="item-list">
+            {stockAvailability.map((entry) => (
+              <li key={entry.key}>
+                <strong>{entry.name}</strong> · needs{" "}
+                {numberFormatter.format(entry.amount)}{" "}
+                {stockUnit(entry.printType)}, on the shelf{" "}
+                {numberFormatter.format(entry.available)}{" "}
+                {stockUnit(entry.printType)}
+                <span
+                  className={`subtitle ${entry.shortfall > 0 ? "error" : "ok"}`}
+                >
+                  {entry.shortfall > 0
+                    ? `Short by ${numberFormatter.format(
+                        entry.shortfall
+                      )} ${stockUnit(entry.printType)}`
+                    : "Enough stock"}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {consumption.untracked.length > 0 && stockAvailability.length > 0 && (
+          <p className="hint">
+            Not tracked (no library material):{" "}
+            {consumption.untracked.join(", ")}
+          </p>
+        )}
+        <button
+          type="button"
+          className="secondary"
+          onClick={handleConfirmJob}
+          disabled={
+            !user ||
+            !appwriteReady ||
+            !consumption.usage.length ||
+            jobDeducted ||
+            isDeducting
+          }
+        >
+          Confirm job and deduct stock
+        </button>
+        {jobDeducted && (
+          <p className="hint">
+            Stock was deducted for this estimate. Change the estimate to confirm
+            another job.
+          </p>
+        )}
+
+        <h3>Stock</h3>
+        <form className="form-grid" onSubmit={handleAddStock}>
+          <label>
+            Material
+            <CustomSelect
+              value={newStock.materialKey}
+              onChange={(materialKey) =>
+                setNewStock((prev) => ({ ...prev, materialKey }))
+              }
+              placeholder="Select material"
+              disabled={!appwriteReady}
+              options={stockMaterialOptions}
+            />
+          </label>
+          <label>
+            Label
+            <input
+              type="text"
+              value={newStock.label}
+              placeholder="e.g. Bottle 3"
+              onChange={(event) =>
+                setNewStock((prev) => ({ ...prev, label: event.target.value }))
+              }
+            />
+          </label>
+          <label>
+            Quantity ({stockUnit(newStock.materialKey.split(":")[0])})
+            <input
+              type="number"
+              min="0"
+              step="50"
+              value={newStock.quantity}
+              onChange={(event) =>
+                setNewStock((prev) => ({
+                  ...prev,
+                  quantity: Number(event.target.value),
+                }))
+              }
+            />
+          </label>
+          <label>
+            Purchase date
+            <input
+              type="date"
+              value={newStock.purchaseDate}
+              onChange={(event) =>
+                setNewStock((prev) => ({
+                  ...prev,
+                  purchaseDate: event.target.value,
+                }))
+              }
+            />
+          </label>
+          <label>
+            Cost ({currencySettings.currency})
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={newStock.cost}
+              onChange={(event) =>
+                setNewStock((prev) => ({
+                  ...prev,
+                  cost: Number(event.target.value),
+                }))
+              }
+            />
+          </label>
+          <button
+            type="submit"
+            className="primary"
+            disabled={!user || !appwriteReady}
+          >
+            Add stock
+          </button>
+        </form>
+        {!user ? (
+          <p className="empty">Sign in to track stock.</p>
+        ) : stockItems.length === 0 ? (
+          <p className="empty">No stock recorded yet.</p>
+        ) : (
+          <ul className="item-list project-list">
+            {stockItems.map((item) => (
+              <li key={item.$id}>
+                <div>
+                  <strong>{stockMaterialName(item)}</strong>
+                  {item.label ? ` · ${item.label}` : ""} ·{" "}
+                  {numberFormatter.format(item.remaining_quantity)} /{" "}
+                  {numberFormatter.format(item.initial_quantity)}{" "}
+                  {stockUnit(item.material_type)}
+                  <span className="subtitle">
+                    Bought {item.purchase_date || "-"} for{" "}
+                    {numberFormatter.format(item.cost ?? 0)}{" "}
+                    {item.currency || currencySettings.currency}
+                  </span>
+                  {isLowStock(item) && (
+                    <span className="subtitle warning">Low stock</span>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  className="ghost danger"
+                  onClick={() =>
+                    deleteLibraryDocument(
+                      appwriteConfig.stockCollectionId,
+                      setStockItems,
+                      item.$id,
+                      "stock item"
+                    )
+                  }
+                  disabled={!appwriteReady}
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="card projects">
+        <h2>Projects</h2>
+        <form className="project-form" onSubmit={handleSaveProject}>
+          <label>
+            Project name
+            <input
+              type="text"
+              value={projectName}
+              placeholder="e.g. Chess set for Alex"
+              onChange={(event) => setProjectName(event.target.value)}
+            />
+          </label>
+          <div className="table-actions">
+            <button
+              type="submit"
+              className="primary"
+              disabled={!user || !appwriteReady}
+            >
+              Save as new project
+            </button>
+            {activeProjectId && (
+              <button
+                type="button"
+                className="secondary"
+                onClick={handleUpdateProject}
+                disabled={!user || !appwriteReady}
+              >
+                Update project
+              </button>
+            )}
+          </div>
+        </form>
+        {!user ? (
+          <p className="empty">Sign in to save and reopen projects.</p>
+        ) : projects.length === 0 ? (
+          <p className="empty">No saved projects yet.</p>
+        ) : (
+          <ul className="item-list project-list">
+            {projects.map((item) => (
+              <li
+                key={item.$id}
+                className={item.$id === activeProjectId ? "active" : ""}
+              >
+                <div>
+                  <strong>{item.name}</strong> · {item.material || "-"} ·{" "}
+                  {currencyFormatter.format(item.total_cost ?? 0)}
+                  <span className="subtitle">
+                    {item.item_count ?? 0} part(s) ·{" "}
+                    {new Date(item.$updatedAt).toLocaleDateString()}
+                  </span>
+                </div>
+                <div className="table-actions">
+                  <button
+                    type="button"
+                    className="secondary"
+                    onClick={() => handleOpenProject(item)}
+                  >
+                    Open
+                  </button>
+                  <button
+                    type="button"
+                    className="secondary"
+                    onClick={() => handleDuplicateProject(item)}
+                  >
+                    Duplicate
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
       <section className="card uploads">
         <h2>Uploaded STL files</h2>
         {!user ? (
@@ -1934,13 +5452,84 @@ export default function App() {
         ) : uploads.length === 0 ? (
           <p className="empty">No uploads yet.</p>
         ) : (
-          <ul className="item-list">
-            {uploads.map((item) => (
-              <li key={item.$id}>
-                <strong>{item.file_name}</strong> · {item.size_bytes} bytes
-              </li>
-            ))}
-          </ul>
+          <>
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={showArchivedUploads}
+                onChange={(event) =>
+                  setShowArchivedUploads(event.target.checked)
+                }
+              />
+              Show archived files
+            </label>
+            <ul className="item-list upload-list">
+              {uploads
+                .filter((item) => showArchivedUploads || !item.archived)
+                .map((item) => (
+                  <li key={item.$id}>
+                    <label className="toggle">
+                      <input
+                        type="checkbox"
+                        checked={selectedUploadIds.includes(item.$id)}
+                        onChange={() => toggleUploadSelection(item.$id)}
+                      />
+                      <span>
+                        <strong>{libraryLabel(item.file_name, item)}</strong>{" "}
+                        · {item.size_bytes} bytes
+                        {item.volume_mm3 != null && (
+                          <span className="subtitle">
+                            {[item.size_x, item.size_y, item.size_z]
+                              .map((value) => numberFormatter.format(value))
+                              .join(" × ")}{" "}
+                            mm ·{" "}
+                            {numberFormatter.format(item.volume_mm3 / 1000)} ml
+                            · {item.triangle_count} triangles
+                          </span>
+                        )}
+                        {duplicateUploads[item.$id] && (
+                          <span className="subtitle warning">
+                            Same file as {duplicateUploads[item.$id]}
+                          </span>
+                        )}
+                      </span>
+                    </label>
+                    <LibraryItemActions
+                      item={item}
+                      disabled={!appwriteReady}
+                      onArchive={(archived) =>
+                        setDocumentArchived(
+                          appwriteConfig.uploadsCollectionId,
+                          setUploads,
+                          item.$id,
+                          archived,
+                          "upload"
+                        )
+                      }
+                      onDelete={() => handleDeleteUpload(item)}
+                    />
+                  </li>
+                ))}
+            </ul>
+            <div className="table-actions">
+              <button
+                type="button"
+                className="primary"
+                onClick={() => {
+                  setPinnedPrices({});
+                  loadUploadsIntoEstimate(
+                    uploads.filter((item) =>
+                      selectedUploadIds.includes(item.$id)
+                    )
+                  );
+                }}
+                disabled={!selectedUploadIds.length || isDownloading}
+              >
+                Price selected
+              </button>
+              {downloadMessage && <p className="status">{downloadMessage}</p>}
+            </div>
+          </>
         )}
       </section>
     </div>
@@ -0,0 +1,74 @@
+// Material price from purchase batches (the Stock documents in inventory.js)
+// instead of the single library price. Batch costs are converted to the user's
+// currency first; batches without an exchange rate are ignored.
+
+import { stockMaterialKey } from "./inventory.js";
+import { convertToUserCurrency } from "./currency.js";
+
+export const costingMethods = [
+  { id: "latest", label: "Latest purchase" },
+  { id: "weighted", label: "Weighted average" },
+  { id: "fifo", label: "FIFO (oldest stock first)" },
+];
+
+function purchaseDate(batch) {
+  return batch.purchase_date || batch.$createdAt || "";
+}
+
+export function materialBatches(stockItems, materialKey, currencySettings) {
+  return stockItems
+    .filter((item) => stockMaterialKey(item) === materialKey)
+    .map((item) => {
+      const quantity = Number(item.initial_quantity) || 0;
+      const cost = convertToUserCurrency(
+        Number(item.cost) || 0,
+        item.currency,
+        currencySettings
+      );
+      return {
+        date: purchaseDate(item),
+        quantity,
+        remaining: Number(item.remaining_quantity) || 0,
+        unitCost: cost !== null && quantity > 0 ? cost / quantity : null,
+      };
+    })
+    .filter((batch) => batch.unitCost !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Cost per ml (resin) or gram (filament), or null when there are no usable
+// batches. The weighted average covers stock still on the shelf, or every
+// purchase once it has all been used. FIFO draws `quantity` (the job's use, in
+// the same unit) from the oldest batches with stock and averages what it took;
+// anything the shelf can't cover is priced at the latest purchase.
+export function batchUnitCost(batches, method, quantity = 0) {
+  if (batches.length === 0) return null;
+  const latest = batches[batches.length - 1];
+  if (method === "weighted") {
+    const onShelf = batches.filter((batch) => batch.remaining > 0);
+    const pool = onShelf.length > 0 ? onShelf : batches;
+    const weight = (batch) =>
+      onShelf.length > 0 ? batch.remaining : batch.quantity;
+    const total = pool.reduce((sum, batch) => sum + weight(batch), 0);
+    if (!(total > 0)) return latest.unitCost;
+    return (
+      pool.reduce((sum, batch) => sum + batch.unitCost * weight(batch), 0) /
+      total
+    );
+  }
+  if (method === "fifo") {
+    const onShelf = batches.filter((batch) => batch.remaining > 0);
+    if (onShelf.length === 0) return latest.unitCost;
+    if (!(quantity > 0)) return onShelf[0].unitCost;
+    let left = quantity;
+    let cost = 0;
+    for (const batch of onShelf) {
+      const taken = Math.min(batch.remaining, left);
+      cost += taken * batch.unitCost;
+      left -= taken;
+      if (left <= 0) break;
+    }
+    return (cost + Math.max(left, 0) * latest.unitCost) / quantity;
+  }
+  return latest.unitCost;
+}
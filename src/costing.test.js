@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { batchUnitCost } from "./costing.js";
+
+const batches = [
+  { date: "2024-01-01", quantity: 1000, remaining: 0, unitCost: 0.01 },
+  { date: "2024-02-01", quantity: 1000, remaining: 200, unitCost: 0.02 },
+  { date: "2024-03-01", quantity: 1000, remaining: 1000, unitCost: 0.04 },
+];
+
+describe("batchUnitCost", () => {
+  it("uses the latest purchase", () => {
+    expect(batchUnitCost(batches, "latest")).toBeCloseTo(0.04);
+  });
+
+  it("averages the stock still on the shelf", () => {
+    expect(batchUnitCost(batches, "weighted")).toBeCloseTo(
+      (200 * 0.02 + 1000 * 0.04) / 1200
+    );
+  });
+
+  it("prices FIFO at the oldest batch when the job fits in it", () => {
+    expect(batchUnitCost(batches, "fifo", 150)).toBeCloseTo(0.02);
+  });
+
+  it("draws a FIFO job across batches in date order", () => {
+    expect(batchUnitCost(batches, "fifo", 500)).toBeCloseTo(
+      (200 * 0.02 + 300 * 0.04) / 500
+    );
+  });
+
+  it("prices FIFO use beyond the shelf at the latest purchase", () => {
+    expect(batchUnitCost(batches, "fifo", 1500)).toBeCloseTo(
+      (200 * 0.02 + 1300 * 0.04) / 1500
+    );
+  });
+});
@@ -0,0 +1,67 @@
+// Display currency, locale and manual exchange rates. Every price in the app is
+// entered in the user's currency; library materials remember the currency
+// they were bought in and are converted with `exchangeRates`, which holds how
+// much one unit of a foreign currency is worth in the user's currency.
+
+export const currencies = [
+  { code: "CAD", label: "Canadian dollar (CAD)" },
+  { code: "USD", label: "US dollar (USD)" },
+  { code: "EUR", label: "Euro (EUR)" },
+  { code: "BRL", label: "Brazilian real (BRL)" },
+  { code: "GBP", label: "British pound (GBP)" },
+];
+
+export const locales = [
+  { code: "en-CA", label: "English (Canada)" },
+  { code: "fr-CA", label: "Français (Canada)" },
+  { code: "en-US", label: "English (US)" },
+  { code: "en-GB", label: "English (UK)" },
+  { code: "de-DE", label: "Deutsch" },
+  { code: "fr-FR", label: "Français" },
+  { code: "pt-BR", label: "Português (Brasil)" },
+];
+
+export const defaultCurrencySettings = {
+  currency: "CAD",
+  locale: "en-CA",
+  exchangeRates: {},
+};
+
+export function createFormatters({ currency, locale }) {
+  return {
+    currencyFormatter: new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency,
+    }),
+    numberFormatter: new Intl.NumberFormat(locale, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }),
+  };
+}
+
+// Amounts without a currency (older library entries) are taken as already in
+// the user's currency. Returns null when a rate is needed but not set.
+export function convertToUserCurrency(amount, fromCurrency, settings) {
+  if (!fromCurrency || fromCurrency === settings.currency) return amount;
+  const rate = Number(settings.exchangeRates?.[fromCurrency]);
+  return rate > 0 ? amount * rate : null;
+}
+
+// Account prefs are a flat JSON object shared with anything else stored there,
+// so the settings live under their own keys.
+export function currencySettingsFromPrefs(prefs) {
+  return {
+    currency: prefs?.currency || defaultCurrencySettings.currency,
+    locale: prefs?.locale || defaultCurrencySettings.locale,
+    exchangeRates: prefs?.exchange_rates ?? {},
+  };
+}
+
+export function currencyPrefs(settings) {
+  return {
+    currency: settings.currency,
+    locale: settings.locale,
+    exchange_rates: settings.exchangeRates,
+  };
+}
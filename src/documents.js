@@ -0,0 +1,46 @@
+// Appwrite rejects a whole document when it names an attribute the collection
+// doesn't define. Optional fields added to the schema over time (printer
+// profiles, upload metrics) go through writeOptionalFields: each optional
+// field the server reports as unknown is dropped and the write retried, so
+// collections created before those fields existed keep working. Dropped
+// fields are remembered per collection for the rest of the session.
+
+const UNKNOWN_ATTRIBUTE = /Unknown attribute:\s*"?([\w$]+)"?/i;
+const missingAttributes = new Map();
+
+// `write` receives the fields to send and performs the create or update.
+// Returns the written document and the optional fields that were left out.
+export async function writeOptionalFields(
+  collectionId,
+  write,
+  fields,
+  optionalFields
+) {
+  const missing = missingAttributes.get(collectionId) ?? new Set();
+  missingAttributes.set(collectionId, missing);
+  const data = { ...fields, ...optionalFields };
+  for (const key of missing) delete data[key];
+
+  for (;;) {
+    try {
+      const document = await write(data);
+      return {
+        document,
+        skipped: Object.keys(optionalFields).filter((key) => missing.has(key)),
+      };
+    } catch (error) {
+      const key = error?.message?.match(UNKNOWN_ATTRIBUTE)?.[1];
+      if (!key || !(key in optionalFields) || !(key in data)) throw error;
+      missing.add(key);
+      delete data[key];
+    }
+  }
+}
+
+export function skippedFieldsNote(skipped) {
+  return skipped.length
+    ? ` Not saved, the collection has no ${skipped.join(", ")} attribute${
+        skipped.length > 1 ? "s" : ""
+      }.`
+    : "";
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { writeOptionalFields } from "./documents.js";
+
+function fakeCollection(attributes) {
+  const writes = [];
+  const write = async (fields) => {
+    writes.push({ ...fields });
+    const unknown = Object.keys(fields).find(
+      (key) => !attributes.includes(key)
+    );
+    if (unknown) {
+      throw new Error(
+        `Invalid document structure: Unknown attribute: "${unknown}"`
+      );
+    }
+    return { $id: "doc", ...fields };
+  };
+  return { write, writes };
+}
+
+describe("writeOptionalFields", () => {
+  it("drops optional fields the collection doesn't define", async () => {
+    const { write } = fakeCollection(["name", "layer_height"]);
+    const result = await writeOptionalFields(
+      "printers-a",
+      write,
+      { name: "Mars" },
+      { layer_height: 0.05, power_watts: 50 }
+    );
+    expect(result.document).toEqual({
+      $id: "doc",
+      name: "Mars",
+      layer_height: 0.05,
+    });
+    expect(result.skipped).toEqual(["power_watts"]);
+  });
+
+  it("remembers missing fields for the next write", async () => {
+    const { write, writes } = fakeCollection(["name"]);
+    await writeOptionalFields("printers-b", write, { name: "A" }, { x: 1 });
+    writes.length = 0;
+    const result = await writeOptionalFields(
+      "printers-b",
+      write,
+      { name: "B" },
+      { x: 2 }
+    );
+    expect(writes).toEqual([{ name: "B" }]);
+    expect(result.skipped).toEqual(["x"]);
+  });
+
+  it("reports an update made only of missing optional fields", async () => {
+    const { write, writes } = fakeCollection([]);
+    const result = await writeOptionalFields(
+      "uploads-a",
+      write,
+      {},
+      { archived: true }
+    );
+    expect(writes).toEqual([{ archived: true }, {}]);
+    expect(result.skipped).toEqual(["archived"]);
+  });
+
+  it("rethrows errors about required fields", async () => {
+    const { write } = fakeCollection([]);
+    await expect(
+      writeOptionalFields("printers-c", write, { name: "A" }, {})
+    ).rejects.toThrow('Unknown attribute: "name"');
+  });
+});
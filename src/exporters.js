@@ -0,0 +1,187 @@
+// Serialisers for saving an estimate outside the app: CSV for spreadsheets,
+// JSON with every input for reproducing the numbers, and a standalone HTML
+// quote sheet that the browser can print or save as PDF.
+
+const csvColumns = [
+  ["File", (item) => item.name],
+  ["Material", (item) => item.materialName],
+  ["Quantity", (item) => item.quantity],
+  ["Unit", (item) => item.unit],
+  ["Scale X", (item) => item.scale?.[0]],
+  ["Scale Y", (item) => item.scale?.[1]],
+  ["Scale Z", (item) => item.scale?.[2]],
+  ["Volume each (mm3)", (item) => item.scaledVolumeMm3],
+  ["Volume (ml)", (item) => item.volumeMl],
+  ["Supports (ml)", (item) => item.supportVolumeMl],
+  ["Filament (g)", (item) => item.filamentGrams],
+  ["Print time (h)", (item) => item.printHours],
+  ["Material cost", (item) => item.materialCost],
+  ["Energy cost", (item) => item.energyCost],
+  ["Machine cost", (item) => item.machineCost],
+  ["Cost", (item) => item.cost],
+  ["Unit cost", (item) => item.unitCost],
+  [
+    "Status",
+    (item) =>
+      item.error ||
+      item.analysis?.issues.map((issue) => issue.message).join("; ") ||
+      "OK",
+  ],
+];
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text =
+    typeof value === "number" ? String(Math.round(value * 1e4) / 1e4) : value;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function estimateToCsv(pricing) {
+  const rows = [csvColumns.map(([label]) => label)];
+  for (const item of pricing.items) {
+    rows.push(csvColumns.map(([, read]) => read(item)));
+  }
+  rows.push([
+    "Total",
+    "",
+    pricing.totals.totalCopies,
+    "",
+    "",
+    "",
+    "",
+    "",
+    pricing.totals.totalVolumeMl - pricing.totals.totalSupportMl,
+    pricing.totals.totalSupportMl,
+    pricing.totals.totalFilamentGrams,
+    pricing.printHours,
+    "",
+    pricing.energyCost,
+    pricing.machineCost,
+    pricing.totalCost,
+    "",
+    "",
+  ]);
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n");
+}
+
+export function estimateToJson({ project, config, pricing, quote }) {
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      project,
+      config,
+      items: pricing.items,
+      layout: pricing.layout,
+      totals: {
+        ...pricing.totals,
+        printHours: pricing.printHours,
+        energyCost: pricing.energyCost,
+        energySplit: pricing.energySplit,
+        machineCost: pricing.machineCost,
+        totalCost: pricing.totalCost,
+      },
+      quote,
+    },
+    null,
+    2
+  );
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// `autoPrint` opens the print dialog once the thumbnails have loaded, which is
+// how the sheet gets saved as PDF.
+export function quoteToHtml(
+  quote,
+  { title, formatCurrency, thumbnails = {}, autoPrint = false }
+) {
+  const rows = quote.lines
+    .map(
+      (line) => `
+        <tr>
+          <td class="thumb">${
+            thumbnails[line.name]
+              ? `<img src="${thumbnails[line.name]}" alt="" />`
+              : ""
+          }</td>
+          <td>${escapeHtml(line.name)}</td>
+          <td class="num">${line.quantity || "-"}</td>
+          <td class="num">${
+            line.quantity ? formatCurrency(line.unitPrice) : "-"
+          }</td>
+          <td class="num">${formatCurrency(line.total)}</td>
+        </tr>`
+    )
+    .join("");
+  const totals = [
+    ["Subtotal", quote.subtotal],
+    quote.minimumAdjustment > 0 && [
+      "Minimum order adjustment",
+      quote.minimumAdjustment,
+    ],
+    quote.shipping > 0 && ["Shipping", quote.shipping],
+    [`Sales tax (${quote.taxRate}%)`, quote.tax],
+  ]
+    .filter(Boolean)
+    .map(
+      ([label, value]) => `
+        <tr>
+          <td colspan="4">${escapeHtml(label)}</td>
+          <td class="num">${formatCurrency(value)}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: "Inter", system-ui, sans-serif; color: #0f172a; margin: 40px; }
+      h1 { font-size: 1.6rem; margin: 0 0 4px; }
+      .meta { color: #475569; margin-bottom: 24px; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 8px; border-bottom: 1px solid #e2e8f0; text-align: left; }
+      .num { text-align: right; }
+      .thumb { width: 72px; }
+      .thumb img { width: 64px; height: 64px; object-fit: contain; background: #0b1120; border-radius: 8px; }
+      tfoot td { border-bottom: none; }
+      .grand-total td { font-weight: 700; font-size: 1.1rem; border-top: 2px solid #0f172a; }
+    </style>
+  </head>
+  <body${autoPrint ? ' onload="window.print()"' : ""}>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="meta">
+      ${quote.customerName ? `Prepared for ${escapeHtml(quote.customerName)} · ` : ""}${new Date().toLocaleDateString()}
+    </div>
+    <table>
+      <thead>
+        <tr><th></th><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Total</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        ${totals}
+        <tr class="grand-total"><td colspan="4">Grand total</td><td class="num">${formatCurrency(quote.grandTotal)}</td></tr>
+      </tfoot>
+    </table>
+  </body>
+</html>`;
+}
+
+export function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,130 @@
+// FDM material model. Walls are the side surface times perimeter count and
+// line width; top and bottom skins are the up- and down-facing surface
+// (projected onto the plate) times their layer count and layer height; infill
+// fills what is left of the volume at the infill percentage, scaled by how
+// much plastic the pattern lays down compared with plain lines.
+
+export const infillPatterns = [
+  { id: "lines", label: "Lines", factor: 1 },
+  { id: "grid", label: "Grid", factor: 1 },
+  { id: "triangles", label: "Triangles", factor: 1 },
+  { id: "cubic", label: "Cubic", factor: 1 },
+  { id: "gyroid", label: "Gyroid", factor: 1.05 },
+  { id: "honeycomb", label: "Honeycomb", factor: 1.35 },
+  { id: "concentric", label: "Concentric", factor: 1 },
+];
+
+export const defaultFdmSettings = {
+  model: "surface",
+  perimeters: 2,
+  lineWidth: 0.45,
+  layerHeight: 0.2,
+  topLayers: 4,
+  bottomLayers: 4,
+  infillPattern: "grid",
+};
+
+// Per copy, in the scaled model's mm². `sideMm2` is the surface seen from the
+// side, which is what the perimeters trace layer after layer.
+export function fdmSurfaceAreas(geometry, options = {}) {
+  const [ux, uy, uz] = options.up ?? [0, 0, 1];
+  const [sx, sy, sz] = options.scale ?? [1, 1, 1];
+  const position = geometry.getAttribute("position");
+  const result = { sideMm2: 0, topMm2: 0, bottomMm2: 0, heightMm: 0 };
+  if (!position) return result;
+
+  const index = geometry.getIndex();
+  const count = index ? index.count : position.count;
+  const corner = (i) => (index ? index.getX(i) : i);
+  let minHeight = Infinity;
+  let maxHeight = -Infinity;
+
+  for (let i = 0; i < position.count; i += 1) {
+    const height =
+      position.getX(i) * sx * ux +
+      position.getY(i) * sy * uy +
+      position.getZ(i) * sz * uz;
+    minHeight = Math.min(minHeight, height);
+    maxHeight = Math.max(maxHeight, height);
+  }
+
+  for (let i = 0; i < count; i += 3) {
+    const a = corner(i);
+    const b = corner(i + 1);
+    const c = corner(i + 2);
+    const ax = position.getX(a) * sx;
+    const ay = position.getY(a) * sy;
+    const az = position.getZ(a) * sz;
+    const e1x = position.getX(b) * sx - ax;
+    const e1y = position.getY(b) * sy - ay;
+    const e1z = position.getZ(b) * sz - az;
+    const e2x = position.getX(c) * sx - ax;
+    const e2y = position.getY(c) * sy - ay;
+    const e2z = position.getZ(c) * sz - az;
+    const nx = e1y * e2z - e1z * e2y;
+    const ny = e1z * e2x - e1x * e2z;
+    const nz = e1x * e2y - e1y * e2x;
+    const doubleArea = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (doubleArea === 0) continue;
+
+    const area = doubleArea / 2;
+    const upness = (nx * ux + ny * uy + nz * uz) / doubleArea;
+    result.sideMm2 += area * Math.sqrt(Math.max(1 - upness * upness, 0));
+    if (upness > 0) result.topMm2 += area * upness;
+    else result.bottomMm2 -= area * upness;
+  }
+
+  result.heightMm = Number.isFinite(maxHeight) ? maxHeight - minHeight : 0;
+  return result;
+}
+
+// Volumes in mm³ per copy. Thin parts whose walls and skins would exceed the
+// model volume are printed solid: the two are scaled back to fit and there is
+// no infill.
+export function fdmMaterialVolumes(
+  volumeMm3,
+  surfaces,
+  settings,
+  infillPercent
+) {
+  const {
+    perimeters,
+    lineWidth,
+    layerHeight,
+    topLayers,
+    bottomLayers,
+    infillPattern,
+  } = { ...defaultFdmSettings, ...settings };
+  const wallMm3 =
+    surfaces.sideMm2 * Math.max(perimeters, 0) * Math.max(lineWidth, 0);
+  const skinMm3 =
+    (surfaces.topMm2 * Math.max(topLayers, 0) +
+      surfaces.bottomMm2 * Math.max(bottomLayers, 0)) *
+    Math.max(layerHeight, 0);
+  const solidMm3 = wallMm3 + skinMm3;
+  if (solidMm3 >= volumeMm3) {
+    const fit = solidMm3 > 0 ? volumeMm3 / solidMm3 : 0;
+    return {
+      shellMm3: wallMm3 * fit,
+      topBottomMm3: skinMm3 * fit,
+      infillMm3: 0,
+    };
+  }
+  const pattern =
+    infillPatterns.find((item) => item.id === infillPattern) ??
+    infillPatterns[0];
+  const infillRatio = Math.min(Math.max(infillPercent, 0) / 100, 1);
+  return {
+    shellMm3: wallMm3,
+    topBottomMm3: skinMm3,
+    infillMm3: Math.min(
+      (volumeMm3 - solidMm3) * infillRatio * pattern.factor,
+      volumeMm3 - solidMm3
+    ),
+  };
+}
+
+export function fdmLayerCount(heightMm, settings) {
+  const { layerHeight } = { ...defaultFdmSettings, ...settings };
+  return layerHeight > 0 ? Math.ceil(heightMm / layerHeight) : 0;
+}
@@ -0,0 +1,120 @@
+import * as THREE from "three";
+import { analyzeMesh } from "./meshAnalysis.js";
+import { parseModel } from "./loaders.js";
+
+export function volumeFromGeometryMm3(geometry) {
+  const position = geometry.getAttribute("position");
+  if (!position) return 0;
+
+  const index = geometry.getIndex();
+  const count = index ? index.count : position.count;
+  const corner = (i) => (index ? index.getX(i) : i);
+  let volume = 0;
+
+  for (let i = 0; i < count; i += 3) {
+    const a = corner(i);
+    const b = corner(i + 1);
+    const c = corner(i + 2);
+    const ax = position.getX(a);
+    const ay = position.getY(a);
+    const az = position.getZ(a);
+    const bx = position.getX(b);
+    const by = position.getY(b);
+    const bz = position.getZ(b);
+    const cx = position.getX(c);
+    const cy = position.getY(c);
+    const cz = position.getZ(c);
+    volume +=
+      ax * (by * cz - bz * cy) +
+      ay * (bz * cx - bx * cz) +
+      az * (bx * cy - by * cx);
+  }
+
+  return Math.abs(volume / 6);
+}
+
+export function surfaceAreaFromGeometryMm2(geometry) {
+  const position = geometry.getAttribute("position");
+  if (!position) return 0;
+
+  const index = geometry.getIndex();
+  const count = index ? index.count : position.count;
+  const corner = (i) => (index ? index.getX(i) : i);
+  let area = 0;
+
+  for (let i = 0; i < count; i += 3) {
+    const a = corner(i);
+    const b = corner(i + 1);
+    const c = corner(i + 2);
+    const ux = position.getX(b) - position.getX(a);
+    const uy = position.getY(b) - position.getY(a);
+    const uz = position.getZ(b) - position.getZ(a);
+    const vx = position.getX(c) - position.getX(a);
+    const vy = position.getY(c) - position.getY(a);
+    const vz = position.getZ(c) - position.getZ(a);
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    area += Math.sqrt(nx * nx + ny * ny + nz * nz);
+  }
+
+  return area / 2;
+}
+
+export function summarizeGeometry(geometry) {
+  geometry.computeBoundingBox();
+  const size = geometry.boundingBox.getSize(new THREE.Vector3());
+  return {
+    volumeMm3: volumeFromGeometryMm3(geometry),
+    surfaceAreaMm2: surfaceAreaFromGeometryMm2(geometry),
+    sizeMm: size.toArray(),
+    analysis: analyzeMesh(geometry),
+  };
+}
+
+// SHA-256 of the file bytes, used to spot the same model uploaded twice.
+// SubtleCrypto only exists in secure contexts, so this can return null.
+export async function contentHash(buffer) {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+// Snake-case fields stored on Uploads documents, so the uploads list can show
+// a model's size and material needs without downloading it.
+export function geometryDocumentFields(summary) {
+  return {
+    volume_mm3: summary.volumeMm3,
+    surface_area_mm2: summary.surfaceAreaMm2,
+    size_x: summary.sizeMm[0],
+    size_y: summary.sizeMm[1],
+    size_z: summary.sizeMm[2],
+    triangle_count: summary.analysis.triangleCount,
+    content_hash: summary.contentHash ?? null,
+  };
+}
+
+// Parses a model file and returns its geometry summary together with the raw
+// position array, which callers hand to the preview instead of re-parsing.
+export async function summarizeModelFile(file, onProgress = () => {}) {
+  onProgress("reading");
+  const buffer = await file.arrayBuffer();
+  const hash = await contentHash(buffer);
+  onProgress("parsing");
+  const { geometry, objectCount } = parseModel(buffer, file.name);
+  onProgress("analyzing");
+  const summary = {
+    ...summarizeGeometry(geometry),
+    objectCount,
+    contentHash: hash,
+  };
+  return { summary, positions: geometry.getAttribute("position").array };
+}
+
+export function geometryFromPositions(positions) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  return geometry;
+}
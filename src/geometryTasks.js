@@ -0,0 +1,52 @@
+import { fdmSurfaceAreas } from "./fdm.js";
+import { geometryFromPositions, summarizeModelFile } from "./geometry.js";
+import { faceHeatmap } from "./heatmap.js";
+import { hollowCavity } from "./hollowing.js";
+import { scoreOrientations } from "./orientation.js";
+import { estimateSupports } from "./supports.js";
+import { parseSlicedFile } from "./sliced.js";
+
+// Work the geometry pool runs, in a worker or inline. Payloads and results
+// must survive structured cloning; `transfer` lists the result buffers a
+// worker hands back without copying.
+export const geometryTasks = {
+  model: {
+    run: ({ file }, onProgress) => summarizeModelFile(file, onProgress),
+    transfer: (value) => [value.positions.buffer],
+  },
+  sliced: {
+    run: async ({ file }, onProgress) => {
+      onProgress("reading");
+      const buffer = await file.arrayBuffer();
+      onProgress("parsing");
+      return parseSlicedFile(buffer, file.name);
+    },
+    transfer: () => [],
+  },
+  supports: {
+    run: async ({ positions, options }) =>
+      estimateSupports(geometryFromPositions(positions), options),
+    transfer: () => [],
+  },
+  fdmSurfaces: {
+    run: async ({ positions, options }) =>
+      fdmSurfaceAreas(geometryFromPositions(positions), options),
+    transfer: () => [],
+  },
+  orientations: {
+    run: async ({ positions, options }) =>
+      scoreOrientations(geometryFromPositions(positions), options),
+    transfer: () => [],
+  },
+  heatmap: {
+    run: async ({ positions, options }) =>
+      faceHeatmap(geometryFromPositions(positions), options),
+    transfer: (value) =>
+      value ? [value.overhang.buffer, value.thickness.buffer] : [],
+  },
+  hollow: {
+    run: async ({ positions, options }) =>
+      hollowCavity(geometryFromPositions(positions), options),
+    transfer: (value) => (value ? [value.grid.labels.buffer] : []),
+  },
+};
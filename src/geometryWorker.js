@@ -0,0 +1,20 @@
+import { geometryTasks } from "./geometryTasks.js";
+
+self.onmessage = async (event) => {
+  const { id, task, payload } = event.data;
+  try {
+    const value = await geometryTasks[task].run(payload, (stage) =>
+      self.postMessage({ id, type: "progress", stage })
+    );
+    self.postMessage(
+      { id, type: "result", value },
+      geometryTasks[task].transfer(value)
+    );
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: "error",
+      message: error.message || "Could not read file.",
+    });
+  }
+};
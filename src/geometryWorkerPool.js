@@ -0,0 +1,153 @@
+import { geometryTasks } from "./geometryTasks.js";
+import { fileExtension } from "./loaders.js";
+
+// 3MFLoader relies on DOMParser, which workers don't have.
+const mainThreadExtensions = [".3mf"];
+
+function runsOnMainThread(job) {
+  return (
+    job.task === "model" &&
+    mainThreadExtensions.includes(fileExtension(job.payload.file.name))
+  );
+}
+
+function defaultPoolSize() {
+  const cores = globalThis.navigator?.hardwareConcurrency || 2;
+  return Math.min(Math.max(cores - 1, 1), 4);
+}
+
+function cancelledError() {
+  const error = new Error("Cancelled.");
+  error.name = "AbortError";
+  return error;
+}
+
+export function createGeometryWorkerPool(size = defaultPoolSize()) {
+  const canUseWorkers = typeof Worker !== "undefined";
+  const idle = [];
+  const queue = [];
+  const active = new Map();
+  let workerCount = 0;
+  let nextId = 0;
+
+  function spawn() {
+    const worker = new Worker(
+      new URL("./geometryWorker.js", import.meta.url),
+      { type: "module" }
+    );
+    worker.onmessage = (event) => handleMessage(worker, event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      const job = [...active.values()].find((item) => item.worker === worker);
+      if (job) finish(job, new Error(event.message || "Worker failed."));
+    };
+    workerCount += 1;
+    return worker;
+  }
+
+  function finish(job, error, value) {
+    active.delete(job.id);
+    if (error) job.reject(error);
+    else job.resolve(value);
+    release(job.worker);
+  }
+
+  function release(worker) {
+    if (worker) idle.push(worker);
+    dispatch();
+  }
+
+  function handleMessage(worker, message) {
+    const job = active.get(message.id);
+    if (!job || job.worker !== worker) return;
+    if (message.type === "progress") {
+      job.onProgress(message.stage);
+    } else if (message.type === "result") {
+      finish(job, null, message.value);
+    } else {
+      finish(job, new Error(message.message));
+    }
+  }
+
+  function runInline(job) {
+    active.set(job.id, job);
+    geometryTasks[job.task].run(job.payload, job.onProgress).then(
+      (value) => active.has(job.id) && finish(job, null, value),
+      (error) => active.has(job.id) && finish(job, error)
+    );
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      const job = queue[0];
+      if (!canUseWorkers || runsOnMainThread(job)) {
+        queue.shift();
+        runInline(job);
+        continue;
+      }
+      const worker = idle.pop() ?? (workerCount < size ? spawn() : null);
+      if (!worker) return;
+      queue.shift();
+      job.worker = worker;
+      active.set(job.id, job);
+      worker.postMessage({ id: job.id, task: job.task, payload: job.payload });
+    }
+  }
+
+  // Queues one of the geometryTasks. Returns its id, for cancel, and a
+  // promise for the result.
+  function runTask(task, payload, onProgress = () => {}) {
+    const id = nextId;
+    nextId += 1;
+    const promise = new Promise((resolve, reject) => {
+      queue.push({
+        id,
+        task,
+        payload,
+        onProgress,
+        resolve,
+        reject,
+        worker: null,
+      });
+    });
+    onProgress("queued");
+    dispatch();
+    return { id, promise };
+  }
+
+  function run(file, onProgress) {
+    return runTask("model", { file }, onProgress);
+  }
+
+  function cancel(id) {
+    const queuedIndex = queue.findIndex((job) => job.id === id);
+    if (queuedIndex !== -1) {
+      const [job] = queue.splice(queuedIndex, 1);
+      job.reject(cancelledError());
+      return;
+    }
+    const job = active.get(id);
+    if (!job) return;
+    active.delete(id);
+    // A busy worker can't be interrupted, so it is replaced.
+    if (job.worker) {
+      job.worker.terminate();
+      workerCount -= 1;
+    }
+    job.reject(cancelledError());
+    dispatch();
+  }
+
+  function terminate() {
+    for (const job of queue.splice(0)) job.reject(cancelledError());
+    for (const job of active.values()) {
+      job.worker?.terminate();
+      job.reject(cancelledError());
+    }
+    active.clear();
+    for (const worker of idle.splice(0)) worker.terminate();
+    workerCount = 0;
+  }
+
+  return { run, runTask, cancel, terminate };
+}
@@ -0,0 +1,130 @@
+// Per-face checks for the preview heatmap. Overhangs use the same rule as the
+// geometry support estimate. Wall thickness is sampled by casting a grid of
+// rays along each axis: a ray that enters through one face and leaves through
+// another crosses a wall of thickness length × |normal · ray| at both faces.
+// Each face is measured along the axis it faces most, so the estimate holds
+// for walls at any angle. Faces too small for any ray stay unmeasured.
+
+import { castColumns, scaledTrianglePoints } from "./rayColumns.js";
+import { buildAxes, defaultSupportSettings } from "./supports.js";
+
+const RAYS_PER_AXIS = 256;
+const PLATE_CONTACT_TOLERANCE_MM = 0.1;
+
+export const defaultHeatmapSettings = {
+  enabled: false,
+  minWallMm: 1,
+};
+
+function faceNormals(points) {
+  const count = points.length / 9;
+  const normals = new Float32Array(count * 3);
+  for (let face = 0; face < count; face += 1) {
+    const p = points.subarray(face * 9, face * 9 + 9);
+    const e1 = [p[3] - p[0], p[4] - p[1], p[5] - p[2]];
+    const e2 = [p[6] - p[0], p[7] - p[1], p[8] - p[2]];
+    const nx = e1[1] * e2[2] - e1[2] * e2[1];
+    const ny = e1[2] * e2[0] - e1[0] * e2[2];
+    const nz = e1[0] * e2[1] - e1[1] * e2[0];
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+    normals[face * 3] = nx / length;
+    normals[face * 3 + 1] = ny / length;
+    normals[face * 3 + 2] = nz / length;
+  }
+  return normals;
+}
+
+function castAxis(points, normals, axis, min, size, thickness) {
+  const [u, v] = [0, 1, 2].filter((item) => item !== axis);
+  const step = Math.max(size[u], size[v]) / RAYS_PER_AXIS || 1;
+  const nu = Math.max(Math.ceil(size[u] / step), 1);
+  const nv = Math.max(Math.ceil(size[v] / step), 1);
+  const columns = Array.from({ length: nu * nv }, () => []);
+  castColumns(points, axis, min, step, [nu, nv], (column, depth, face) =>
+    columns[column].push({ depth, face })
+  );
+
+  const record = (face, length) => {
+    const facing = Math.abs(normals[face * 3 + axis]);
+    // Only the axis a face points along most gives it a reading.
+    if (
+      facing < Math.abs(normals[face * 3 + u]) ||
+      facing < Math.abs(normals[face * 3 + v])
+    ) {
+      return;
+    }
+    thickness[face] = Math.min(thickness[face], length * facing);
+  };
+  for (const hits of columns) {
+    hits.sort((first, second) => first.depth - second.depth);
+    for (let pair = 0; pair + 1 < hits.length; pair += 2) {
+      const length = hits[pair + 1].depth - hits[pair].depth;
+      record(hits[pair].face, length);
+      record(hits[pair + 1].face, length);
+    }
+  }
+}
+
+// Per face (in index order): `overhang` flags and `thickness` in mm, Infinity
+// where no ray measured the face. The minimum wall is left to the caller (see
+// thinFaceCount) so changing it doesn't cast the rays again.
+export function faceHeatmap(geometry, options = {}) {
+  const { overhangAngle } = { ...defaultSupportSettings, ...options };
+  const up = options.up ?? buildAxes["+z"];
+  const scale = options.scale ?? [1, 1, 1];
+  if (!geometry.getAttribute("position")) return null;
+
+  const points = scaledTrianglePoints(geometry, scale);
+  const normals = faceNormals(points);
+  const count = points.length / 9;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count * 3; i += 1) {
+    for (let axis = 0; axis < 3; axis += 1) {
+      min[axis] = Math.min(min[axis], points[i * 3 + axis]);
+      max[axis] = Math.max(max[axis], points[i * 3 + axis]);
+    }
+  }
+  const size = max.map((value, axis) => value - min[axis]);
+
+  const thickness = new Float32Array(count).fill(Infinity);
+  for (let axis = 0; axis < 3; axis += 1) {
+    castAxis(points, normals, axis, min, size, thickness);
+  }
+
+  const height = (i) =>
+    points[i * 3] * up[0] +
+    points[i * 3 + 1] * up[1] +
+    points[i * 3 + 2] * up[2];
+  let minHeight = Infinity;
+  for (let i = 0; i < count * 3; i += 1) {
+    minHeight = Math.min(minHeight, height(i));
+  }
+  const threshold = Math.sin((Math.max(overhangAngle, 0) * Math.PI) / 180);
+  const overhang = new Uint8Array(count);
+  let overhangCount = 0;
+  for (let face = 0; face < count; face += 1) {
+    const downness = -(
+      normals[face * 3] * up[0] +
+      normals[face * 3 + 1] * up[1] +
+      normals[face * 3 + 2] * up[2]
+    );
+    const faceHeight =
+      (height(face * 3) + height(face * 3 + 1) + height(face * 3 + 2)) / 3 -
+      minHeight;
+    if (downness > threshold && faceHeight >= PLATE_CONTACT_TOLERANCE_MM) {
+      overhang[face] = 1;
+      overhangCount += 1;
+    }
+  }
+
+  return { overhang, thickness, overhangCount, faceCount: count };
+}
+
+export function thinFaceCount(heatmap, minWallMm) {
+  let count = 0;
+  for (let face = 0; face < heatmap.faceCount; face += 1) {
+    if (heatmap.thickness[face] < minWallMm) count += 1;
+  }
+  return count;
+}
@@ -0,0 +1,14 @@
+import * as THREE from "three";
+import { describe, expect, it } from "vitest";
+import { faceHeatmap, thinFaceCount } from "./heatmap.js";
+
+describe("faceHeatmap", () => {
+  it("measures a plate's thickness across its large faces", () => {
+    const plate = new THREE.BoxGeometry(20, 20, 2).toNonIndexed();
+    const heatmap = faceHeatmap(plate);
+    const measured = [...heatmap.thickness].filter(Number.isFinite);
+    expect(Math.min(...measured)).toBeCloseTo(2);
+    expect(thinFaceCount(heatmap, 3)).toBe(4);
+    expect(thinFaceCount(heatmap, 1)).toBe(0);
+  });
+});
@@ -0,0 +1,202 @@
+// Hollowed resin parts. The scaled mesh is voxelized by casting one ray per
+// grid column and filling between entry and exit hits; a chamfer distance
+// transform then marks every inside voxel deeper than the wall thickness as
+// cavity. The shell is the exact mesh volume minus that cavity (and any drain
+// holes), so voxel size only affects the cavity estimate. Needs a closed mesh.
+
+import { castColumns, scaledTrianglePoints } from "./rayColumns.js";
+
+const MAX_VOXELS = 500_000;
+const DIAGONAL = Math.SQRT2;
+const CORNER = Math.sqrt(3);
+
+export const defaultHollowSettings = {
+  enabled: false,
+  wallThickness: 2,
+  drainHoles: true,
+  drainHoleDiameter: 3,
+  drainHoleCount: 2,
+};
+
+export const voxelLabels = { outside: 0, shell: 1, cavity: 2 };
+
+function scaledBounds(points) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < points.length; i += 3) {
+    for (let axis = 0; axis < 3; axis += 1) {
+      min[axis] = Math.min(min[axis], points[i + axis]);
+      max[axis] = Math.max(max[axis], points[i + axis]);
+    }
+  }
+  return { min, max };
+}
+
+// Voxels are at most a third of the wall, but grow for large parts so the grid
+// stays under MAX_VOXELS.
+function voxelSizeFor(size, wallThickness) {
+  const boxVolume = size[0] * size[1] * size[2];
+  return Math.max(wallThickness / 3, Math.cbrt(boxVolume / MAX_VOXELS), 0.05);
+}
+
+function rasterizeColumns(points, origin, voxel, dims) {
+  const [nx, ny] = dims;
+  const columns = Array.from({ length: nx * ny }, () => []);
+  castColumns(points, 2, origin, voxel, [nx, ny], (column, depth) =>
+    columns[column].push(depth)
+  );
+  return columns;
+}
+
+function fillInside(columns, voxel, dims) {
+  const [nx, ny, nz] = dims;
+  const inside = new Uint8Array(nx * ny * nz);
+  columns.forEach((hits, column) => {
+    hits.sort((a, b) => a - b);
+    for (let pair = 0; pair + 1 < hits.length; pair += 2) {
+      const from = Math.max(Math.ceil(hits[pair] / voxel - 0.5), 0);
+      const to = Math.min(Math.floor(hits[pair + 1] / voxel - 0.5), nz - 1);
+      for (let z = from; z <= to; z += 1) {
+        inside[column + nx * ny * z] = 1;
+      }
+    }
+  });
+  return inside;
+}
+
+// Two-pass 3x3x3 chamfer transform: distance, in voxels, from each inside
+// voxel to the nearest outside one. Cells beyond the grid count as outside.
+function distanceToOutside(inside, dims) {
+  const [nx, ny, nz] = dims;
+  const distance = new Float32Array(inside.length);
+  for (let i = 0; i < inside.length; i += 1) {
+    distance[i] = inside[i] ? Infinity : 0;
+  }
+  const offsets = [];
+  for (let dz = -1; dz <= 1; dz += 1) {
+    for (let dy = -1; dy <= 1; dy += 1) {
+      for (let dx = -1; dx <= 1; dx += 1) {
+        const steps = Math.abs(dx) + Math.abs(dy) + Math.abs(dz);
+        if (steps === 0) continue;
+        const before =
+          dz < 0 || (dz === 0 && (dy < 0 || (dy === 0 && dx < 0)));
+        offsets.push({
+          dx,
+          dy,
+          dz,
+          before,
+          weight: steps === 1 ? 1 : steps === 2 ? DIAGONAL : CORNER,
+        });
+      }
+    }
+  }
+
+  const relax = (x, y, z, backward) => {
+    const cell = x + nx * (y + ny * z);
+    if (!inside[cell]) return;
+    let best = distance[cell];
+    for (const offset of offsets) {
+      if (offset.before === backward) continue;
+      const qx = x + offset.dx;
+      const qy = y + offset.dy;
+      const qz = z + offset.dz;
+      const neighbour =
+        qx < 0 || qy < 0 || qz < 0 || qx >= nx || qy >= ny || qz >= nz
+          ? 0
+          : distance[qx + nx * (qy + ny * qz)];
+      best = Math.min(best, neighbour + offset.weight);
+    }
+    distance[cell] = best;
+  };
+
+  for (let z = 0; z < nz; z += 1) {
+    for (let y = 0; y < ny; y += 1) {
+      for (let x = 0; x < nx; x += 1) relax(x, y, z, false);
+    }
+  }
+  for (let z = nz - 1; z >= 0; z -= 1) {
+    for (let y = ny - 1; y >= 0; y -= 1) {
+      for (let x = nx - 1; x >= 0; x -= 1) relax(x, y, z, true);
+    }
+  }
+  return distance;
+}
+
+// The voxel work: everything deeper than the wall thickness, as a labelled
+// grid. Depends only on the mesh, its scale and the wall, so it can run off
+// the main thread and be reused while drain holes change. `cavityVolumeMm3`
+// is not yet capped by the mesh volume; see hollowShell.
+export function hollowCavity(geometry, options = {}) {
+  const { wallThickness } = { ...defaultHollowSettings, ...options };
+  const scale = options.scale ?? [1, 1, 1];
+  if (!geometry.getAttribute("position") || !(wallThickness > 0)) return null;
+
+  const points = scaledTrianglePoints(geometry, scale);
+  const { min, max } = scaledBounds(points);
+  const size = max.map((value, axis) => value - min[axis]);
+  if (size.some((value) => !(value > 0))) return null;
+  const voxel = voxelSizeFor(size, wallThickness);
+  const dims = size.map((value) => Math.max(Math.ceil(value / voxel), 1));
+
+  const columns = rasterizeColumns(points, min, voxel, dims);
+  const inside = fillInside(columns, voxel, dims);
+  const distance = distanceToOutside(inside, dims);
+
+  // Voxel centres sit about half a voxel inside the surface.
+  const depthLimit = wallThickness / voxel + 0.5;
+  const labels = new Uint8Array(inside.length);
+  let cavityCount = 0;
+  for (let i = 0; i < inside.length; i += 1) {
+    if (!inside[i]) continue;
+    if (distance[i] > depthLimit) {
+      labels[i] = voxelLabels.cavity;
+      cavityCount += 1;
+    } else {
+      labels[i] = voxelLabels.shell;
+    }
+  }
+
+  return {
+    wallThickness,
+    voxelMm: voxel,
+    cavityVolumeMm3: cavityCount * voxel ** 3,
+    grid: { origin: min, size, voxel, dims, labels },
+  };
+}
+
+// Prices a cavity from hollowCavity. `solidVolumeMm3` is the scaled mesh
+// volume; the result is per copy. `grid` keeps one label per voxel for the
+// cross-section preview.
+export function hollowShell(cavity, solidVolumeMm3, options = {}) {
+  const { drainHoles, drainHoleDiameter, drainHoleCount } = {
+    ...defaultHollowSettings,
+    ...options,
+  };
+  if (!cavity || !(solidVolumeMm3 > 0)) return null;
+  const { wallThickness } = cavity;
+
+  const cavityVolumeMm3 = Math.min(cavity.cavityVolumeMm3, solidVolumeMm3);
+  const holeRadius = Math.max(drainHoleDiameter, 0) / 2;
+  const drainVolumeMm3 =
+    drainHoles && cavityVolumeMm3 > 0
+      ? Math.max(Math.floor(drainHoleCount), 0) *
+        Math.PI *
+        holeRadius *
+        holeRadius *
+        wallThickness
+      : 0;
+
+  return {
+    ...cavity,
+    cavityVolumeMm3,
+    drainVolumeMm3,
+    shellVolumeMm3: Math.max(
+      solidVolumeMm3 - cavityVolumeMm3 - drainVolumeMm3,
+      0
+    ),
+  };
+}
+
+export function hollowModel(geometry, solidVolumeMm3, options = {}) {
+  return hollowShell(hollowCavity(geometry, options), solidVolumeMm3, options);
+}
@@ -0,0 +1,32 @@
+import * as THREE from "three";
+import { describe, expect, it } from "vitest";
+import { hollowCavity, hollowModel, hollowShell } from "./hollowing.js";
+
+function cube(size) {
+  return new THREE.BoxGeometry(size, size, size).toNonIndexed();
+}
+
+describe("hollowing", () => {
+  it("leaves a shell of the wall thickness", () => {
+    const hollow = hollowModel(cube(20), 8000, {
+      wallThickness: 2,
+      drainHoles: false,
+    });
+    expect(hollow.cavityVolumeMm3).toBeCloseTo(16 ** 3, -2);
+    expect(hollow.shellVolumeMm3).toBeCloseTo(8000 - 16 ** 3, -2);
+  });
+
+  it("reuses a cavity when only the drain holes change", () => {
+    const cavity = hollowCavity(cube(20), { wallThickness: 2 });
+    const closed = hollowShell(cavity, 8000, { drainHoles: false });
+    const drained = hollowShell(cavity, 8000, {
+      drainHoles: true,
+      drainHoleCount: 2,
+      drainHoleDiameter: 4,
+    });
+    expect(drained.drainVolumeMm3).toBeCloseTo(2 * Math.PI * 4 * 2);
+    expect(closed.shellVolumeMm3 - drained.shellVolumeMm3).toBeCloseTo(
+      drained.drainVolumeMm3
+    );
+  });
+});
@@ -0,0 +1,97 @@
+// Material stock: one Stock document per bottle or spool, linked to a library
+// resin or filament. Quantities are ml for resin and grams for filament, the
+// same units the pricing engine reports consumption in.
+
+export const defaultLowStockPercent = 15;
+
+export function stockMaterialKey(stockItem) {
+  return `${stockItem.material_type}:${stockItem.material_id}`;
+}
+
+export function stockUnit(printType) {
+  return printType === "filament" ? "g" : "ml";
+}
+
+export function isLowStock(stockItem) {
+  const remaining = Number(stockItem.remaining_quantity) || 0;
+  const threshold =
+    stockItem.low_stock_threshold != null
+      ? Number(stockItem.low_stock_threshold)
+      : (Number(stockItem.initial_quantity) || 0) *
+        (defaultLowStockPercent / 100);
+  return remaining <= threshold;
+}
+
+// Consumption per library material for a priced project. Rows on the job
+// material count against `jobMaterialKey`; when that is empty (no library
+// entry selected) they can't be tracked and are reported separately.
+export function jobConsumption(pricing, jobMaterialKey) {
+  const usage = new Map();
+  const untracked = [];
+  for (const group of pricing.materials) {
+    const key = group.key === "job" ? jobMaterialKey : group.key;
+    const amount =
+      group.printType === "filament" ? group.filamentGrams : group.volumeMl;
+    if (!key) {
+      untracked.push(group.name);
+      continue;
+    }
+    const entry = usage.get(key) ?? {
+      key,
+      name: group.name,
+      printType: group.printType,
+      amount: 0,
+    };
+    entry.amount += amount;
+    usage.set(key, entry);
+  }
+  return { usage: [...usage.values()], untracked };
+}
+
+// Identifies a job by what it consumes, so a confirmed estimate can be told
+// apart from one that has changed since. Empty when nothing is tracked.
+export function consumptionKey(usage) {
+  return usage
+    .map((entry) => `${entry.key}=${entry.amount.toFixed(3)}`)
+    .sort()
+    .join(";");
+}
+
+export function checkAvailability(usage, stockItems) {
+  return usage.map((entry) => {
+    const available = stockItems
+      .filter((item) => stockMaterialKey(item) === entry.key)
+      .reduce((sum, item) => sum + (Number(item.remaining_quantity) || 0), 0);
+    return {
+      ...entry,
+      available,
+      shortfall: Math.max(entry.amount - available, 0),
+    };
+  });
+}
+
+// Draws `amount` from the oldest purchases first. Returns the new remaining
+// quantity for every touched stock item, plus whatever couldn't be covered.
+export function planDeduction(stockItems, materialKey, amount) {
+  const candidates = stockItems
+    .filter(
+      (item) =>
+        stockMaterialKey(item) === materialKey &&
+        Number(item.remaining_quantity) > 0
+    )
+    .sort((a, b) =>
+      (a.purchase_date || a.$createdAt).localeCompare(
+        b.purchase_date || b.$createdAt
+      )
+    );
+  const updates = [];
+  let left = Math.max(amount, 0);
+  for (const item of candidates) {
+    if (left <= 0) break;
+    const remaining = Number(item.remaining_quantity);
+    const taken = Math.min(remaining, left);
+    left -= taken;
+    updates.push({ id: item.$id, remaining: remaining - taken });
+  }
+  return { updates, uncovered: left };
+}
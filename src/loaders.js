@@ -0,0 +1,123 @@
+// Format dispatch for uploaded models. Every loader is normalised to a single
+// non-indexed BufferGeometry in millimetres with transforms already applied,
+// so volume, analysis, pricing and preview don't care where it came from.
+
+import * as THREE from "three";
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
+import { ThreeMFLoader } from "three/examples/jsm/loaders/3MFLoader.js";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { unzipSync, strFromU8 } from "three/examples/jsm/libs/fflate.module.js";
+
+const threeMfUnitsToMm = {
+  micron: 0.001,
+  millimeter: 1,
+  centimeter: 10,
+  inch: 25.4,
+  foot: 304.8,
+  meter: 1000,
+};
+
+export const supportedExtensions = [".stl", ".3mf", ".obj", ".ply"];
+
+export function fileExtension(fileName) {
+  const dot = fileName.lastIndexOf(".");
+  return dot === -1 ? "" : fileName.slice(dot).toLowerCase();
+}
+
+export function isSupportedModel(fileName) {
+  return supportedExtensions.includes(fileExtension(fileName));
+}
+
+function positionsOnly(geometry) {
+  const source = geometry.index ? geometry.toNonIndexed() : geometry;
+  const next = new THREE.BufferGeometry();
+  next.setAttribute("position", source.getAttribute("position").clone());
+  return next;
+}
+
+function geometryFromObject(object) {
+  object.updateMatrixWorld(true);
+  const parts = [];
+  object.traverse((child) => {
+    if (!child.isMesh || !child.geometry?.getAttribute("position")) return;
+    const part = positionsOnly(child.geometry);
+    part.applyMatrix4(child.matrixWorld);
+    parts.push(part);
+  });
+  if (parts.length === 0) {
+    throw new Error("File contains no meshes.");
+  }
+  const geometry = parts.length === 1 ? parts[0] : mergeGeometries(parts);
+  return { geometry, objectCount: parts.length };
+}
+
+const THREE_MF_MODEL_RELATIONSHIP =
+  "http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel";
+
+function xmlAttribute(tag, name) {
+  return tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1] ?? null;
+}
+
+// The root model is the one `_rels/.rels` points at; other .model parts are
+// components it references and may use a different unit.
+function threeMfRootModelPath(zip) {
+  const rels = Object.keys(zip).find(
+    (name) => name.toLowerCase() === "_rels/.rels"
+  );
+  const target = rels
+    ? (strFromU8(zip[rels]).match(/<Relationship\b[^>]*>/g) ?? [])
+        .filter(
+          (tag) => xmlAttribute(tag, "Type") === THREE_MF_MODEL_RELATIONSHIP
+        )
+        .map((tag) => xmlAttribute(tag, "Target"))
+        .find(Boolean)
+    : null;
+  const path = (target ?? "/3D/3dmodel.model").replace(/^\//, "");
+  return Object.keys(zip).find(
+    (name) => name.toLowerCase() === path.toLowerCase()
+  );
+}
+
+function threeMfUnitScale(buffer) {
+  const zip = unzipSync(new Uint8Array(buffer), {
+    filter: (file) => {
+      const name = file.name.toLowerCase();
+      return name.endsWith(".model") || name === "_rels/.rels";
+    },
+  });
+  const modelName = threeMfRootModelPath(zip);
+  if (!modelName) return 1;
+  const match = strFromU8(zip[modelName]).match(/<model[^>]*\sunit="([^"]+)"/);
+  return threeMfUnitsToMm[match?.[1]] ?? 1;
+}
+
+function parseThreeMf(buffer) {
+  const group = new ThreeMFLoader().parse(buffer);
+  if (!group) throw new Error("Could not read 3MF.");
+  const result = geometryFromObject(group);
+  const scale = threeMfUnitScale(buffer);
+  if (scale !== 1) result.geometry.scale(scale, scale, scale);
+  return result;
+}
+
+export function parseModel(buffer, fileName) {
+  switch (fileExtension(fileName)) {
+    case ".stl":
+      return { geometry: new STLLoader().parse(buffer), objectCount: 1 };
+    case ".ply":
+      return {
+        geometry: positionsOnly(new PLYLoader().parse(buffer)),
+        objectCount: 1,
+      };
+    case ".obj":
+      return geometryFromObject(
+        new OBJLoader().parse(new TextDecoder().decode(buffer))
+      );
+    case ".3mf":
+      return parseThreeMf(buffer);
+    default:
+      throw new Error(`Unsupported file type: ${fileName}`);
+  }
+}
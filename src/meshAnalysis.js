@@ -0,0 +1,201 @@
+// Topology checks run on parsed geometry before pricing. STL files carry no
+// shared vertices, so positions are welded first and edges are matched on the
+// welded indices.
+
+const WELD_PRECISION = 1e4;
+const DEGENERATE_AREA_MM2 = 1e-10;
+
+function weldVertices(position) {
+  const lookup = new Map();
+  const welded = new Uint32Array(position.count);
+  for (let i = 0; i < position.count; i += 1) {
+    const key = `${Math.round(position.getX(i) * WELD_PRECISION)},${Math.round(
+      position.getY(i) * WELD_PRECISION
+    )},${Math.round(position.getZ(i) * WELD_PRECISION)}`;
+    let id = lookup.get(key);
+    if (id === undefined) {
+      id = lookup.size;
+      lookup.set(key, id);
+    }
+    welded[i] = id;
+  }
+  return { welded, vertexCount: lookup.size };
+}
+
+function triangleArea(position, a, b, c) {
+  const ux = position.getX(b) - position.getX(a);
+  const uy = position.getY(b) - position.getY(a);
+  const uz = position.getZ(b) - position.getZ(a);
+  const vx = position.getX(c) - position.getX(a);
+  const vy = position.getY(c) - position.getY(a);
+  const vz = position.getZ(c) - position.getZ(a);
+  const cx = uy * vz - uz * vy;
+  const cy = uz * vx - ux * vz;
+  const cz = ux * vy - uy * vx;
+  return Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+}
+
+function signedTetraVolume(position, a, b, c) {
+  const ax = position.getX(a);
+  const ay = position.getY(a);
+  const az = position.getZ(a);
+  const bx = position.getX(b);
+  const by = position.getY(b);
+  const bz = position.getZ(b);
+  const cx = position.getX(c);
+  const cy = position.getY(c);
+  const cz = position.getZ(c);
+  return (
+    (ax * (by * cz - bz * cy) +
+      ay * (bz * cx - bx * cz) +
+      az * (bx * cy - by * cx)) /
+    6
+  );
+}
+
+function createUnionFind(size) {
+  const parent = new Uint32Array(size);
+  for (let i = 0; i < size; i += 1) parent[i] = i;
+  function find(x) {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  }
+  function union(a, b) {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[rootB] = rootA;
+  }
+  return { find, union };
+}
+
+function pluralize(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+export function analyzeMesh(geometry) {
+  const position = geometry.getAttribute("position");
+  const index = geometry.getIndex();
+  const cornerCount = index ? index.count : position?.count ?? 0;
+  const triangleCount = Math.floor(cornerCount / 3);
+  const report = {
+    triangleCount,
+    boundaryEdges: 0,
+    nonManifoldEdges: 0,
+    inconsistentEdges: 0,
+    degenerateTriangles: 0,
+    shells: 0,
+    inverted: false,
+    issues: [],
+    status: "ok",
+  };
+  if (!position || triangleCount === 0) {
+    report.issues.push({ level: "error", message: "Mesh has no triangles" });
+    report.status = "error";
+    return report;
+  }
+
+  const corner = (i) => (index ? index.getX(i) : i);
+  const { welded, vertexCount } = weldVertices(position);
+  const shells = createUnionFind(vertexCount);
+  const edges = new Map();
+  let signedVolume = 0;
+
+  for (let t = 0; t < triangleCount; t += 1) {
+    const a = corner(t * 3);
+    const b = corner(t * 3 + 1);
+    const c = corner(t * 3 + 2);
+    const wa = welded[a];
+    const wb = welded[b];
+    const wc = welded[c];
+
+    if (
+      wa === wb ||
+      wb === wc ||
+      wc === wa ||
+      triangleArea(position, a, b, c) < DEGENERATE_AREA_MM2
+    ) {
+      report.degenerateTriangles += 1;
+      continue;
+    }
+
+    signedVolume += signedTetraVolume(position, a, b, c);
+    shells.union(wa, wb);
+    shells.union(wb, wc);
+
+    for (const [from, to] of [
+      [wa, wb],
+      [wb, wc],
+      [wc, wa],
+    ]) {
+      const key = from < to ? from * vertexCount + to : to * vertexCount + from;
+      const edge = edges.get(key) ?? { uses: 0, forward: 0 };
+      edge.uses += 1;
+      if (from < to) edge.forward += 1;
+      edges.set(key, edge);
+    }
+  }
+
+  const shellRoots = new Set();
+  for (const [key] of edges) {
+    shellRoots.add(shells.find(Math.floor(key / vertexCount)));
+  }
+  report.shells = shellRoots.size;
+
+  for (const edge of edges.values()) {
+    if (edge.uses === 1) {
+      report.boundaryEdges += 1;
+    } else if (edge.uses > 2) {
+      report.nonManifoldEdges += 1;
+    } else if (edge.forward !== 1) {
+      report.inconsistentEdges += 1;
+    }
+  }
+  report.inverted = signedVolume < 0;
+
+  if (report.boundaryEdges > 0) {
+    report.issues.push({
+      level: "error",
+      message: `Open mesh (${pluralize(report.boundaryEdges, "boundary edge")})`,
+    });
+  }
+  if (report.nonManifoldEdges > 0) {
+    report.issues.push({
+      level: "error",
+      message: `Non-manifold (${pluralize(report.nonManifoldEdges, "edge")})`,
+    });
+  }
+  if (report.inconsistentEdges > 0) {
+    report.issues.push({
+      level: "warning",
+      message: `Inconsistent winding (${pluralize(
+        report.inconsistentEdges,
+        "edge"
+      )})`,
+    });
+  }
+  if (report.inverted) {
+    report.issues.push({ level: "warning", message: "Inverted normals" });
+  }
+  if (report.degenerateTriangles > 0) {
+    report.issues.push({
+      level: "warning",
+      message: pluralize(report.degenerateTriangles, "degenerate triangle"),
+    });
+  }
+  if (report.shells > 1) {
+    report.issues.push({
+      level: "warning",
+      message: pluralize(report.shells, "separate shell"),
+    });
+  }
+
+  if (report.issues.some((issue) => issue.level === "error")) {
+    report.status = "error";
+  } else if (report.issues.length > 0) {
+    report.status = "warning";
+  }
+  return report;
+}
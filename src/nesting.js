@@ -0,0 +1,100 @@
+// Build-plate nesting on bounding-box footprints. Parts are laid out with a
+// first-fit decreasing shelf packer: each plate is filled with rows ("shelves")
+// of parts, deepest parts first, and a new plate is opened when nothing fits.
+
+function orientations(part, plate) {
+  const landscape =
+    part.width >= part.depth
+      ? { width: part.width, depth: part.depth, rotated: false }
+      : { width: part.depth, depth: part.width, rotated: true };
+  const portrait = {
+    width: landscape.depth,
+    depth: landscape.width,
+    rotated: !landscape.rotated,
+  };
+  return [landscape, portrait].filter(
+    (option) => option.width <= plate.width && option.depth <= plate.depth
+  );
+}
+
+function placeOnPlate(plateState, options, plate) {
+  for (const option of options) {
+    for (const shelf of plateState.shelves) {
+      if (
+        shelf.x + option.width <= plate.width &&
+        option.depth <= shelf.depth
+      ) {
+        const position = { x: shelf.x, y: shelf.y };
+        shelf.x += option.width;
+        return { ...option, ...position };
+      }
+    }
+  }
+  for (const option of options) {
+    if (plateState.usedDepth + option.depth <= plate.depth) {
+      const shelf = {
+        x: option.width,
+        y: plateState.usedDepth,
+        depth: option.depth,
+      };
+      plateState.shelves.push(shelf);
+      plateState.usedDepth += option.depth;
+      return { ...option, x: 0, y: shelf.y };
+    }
+  }
+  return null;
+}
+
+// `parts` are single copies: { itemIndex, name, width, depth, height } in mm.
+// Placements report the part's min corner on the plate (without spacing) and
+// whether its footprint was turned 90° to fit.
+export function packPlates(parts, plate, spacing = 5) {
+  const gap = Math.max(spacing, 0);
+  const padded = { width: plate.width + gap, depth: plate.depth + gap };
+  const states = [];
+  const unplaced = [];
+
+  const sorted = [...parts].sort(
+    (a, b) => Math.min(b.width, b.depth) - Math.min(a.width, a.depth)
+  );
+
+  for (const part of sorted) {
+    const options = orientations(
+      { width: part.width + gap, depth: part.depth + gap },
+      padded
+    );
+    const tooTall = plate.height > 0 && part.height > plate.height;
+    if (options.length === 0 || tooTall) {
+      unplaced.push(part);
+      continue;
+    }
+
+    let placement = null;
+    for (const state of states) {
+      placement = placeOnPlate(state, options, padded);
+      if (placement) {
+        state.placements.push({ part, placement });
+        break;
+      }
+    }
+    if (!placement) {
+      const state = { shelves: [], usedDepth: 0, placements: [] };
+      placement = placeOnPlate(state, options, padded);
+      state.placements.push({ part, placement });
+      states.push(state);
+    }
+  }
+
+  const plates = states.map((state) => ({
+    placements: state.placements.map(({ part, placement }) => ({
+      ...part,
+      x: placement.x,
+      y: placement.y,
+      width: placement.width - gap,
+      depth: placement.depth - gap,
+      rotated: placement.rotated,
+    })),
+  }));
+
+  return { plate, plates, unplaced };
+}
@@ -0,0 +1,127 @@
+// Orientation search. Each candidate is an "up" direction in model space: the
+// six faces, twelve edges and eight corners of a cube, which covers flat
+// placements as well as the 45° tilts usual for resin. Candidates are scored
+// on overhang area, build height and plate footprint, each relative to the
+// worst candidate, with weights that depend on the process.
+
+import * as THREE from "three";
+import { estimateSupports } from "./supports.js";
+
+const scoreWeights = {
+  resin: { overhang: 1, height: 0.6, footprint: 0.4 },
+  filament: { overhang: 1, height: 0.3, footprint: 0.2 },
+};
+
+function axisLabel(up) {
+  return up
+    .map((component, axis) =>
+      Math.abs(component) < 1e-6
+        ? ""
+        : `${component > 0 ? "+" : "-"}${"XYZ"[axis]}`
+    )
+    .join("");
+}
+
+// Faces first, then edges and corners, starting from +Z, so that ties go to
+// the simplest placement.
+export const orientationCandidates = (() => {
+  const candidates = [];
+  for (const z of [1, -1, 0]) {
+    for (const y of [1, -1, 0]) {
+      for (const x of [1, -1, 0]) {
+        const length = Math.hypot(x, y, z);
+        if (length === 0) continue;
+        const up = [x / length, y / length, z / length];
+        candidates.push({ up, label: axisLabel(up), tilt: length ** 2 });
+      }
+    }
+  }
+  return candidates
+    .sort((a, b) => a.tilt - b.tilt)
+    .map(({ up, label }) => ({ up, label }));
+})();
+
+export function orientationLabel(up) {
+  return (
+    orientationCandidates.find((candidate) => sameOrientation(candidate.up, up))
+      ?.label ?? axisLabel(up)
+  );
+}
+
+export function sameOrientation(a, b) {
+  return (
+    a != null &&
+    b != null &&
+    Math.abs(a[0] * b[0] + a[1] * b[1] + a[2] * b[2] - 1) < 1e-6
+  );
+}
+
+// Rotation that stands the model on `up`: model `up` becomes scene +Y, the
+// convention the plate preview uses.
+export function orientationQuaternion(up) {
+  return new THREE.Quaternion().setFromUnitVectors(
+    new THREE.Vector3(...up).normalize(),
+    new THREE.Vector3(0, 1, 0)
+  );
+}
+
+// Scaled size once stood on `up`: plate width (scene X), depth (scene Z) and
+// build height. Matches what the plate preview lays out.
+export function orientedSize(geometry, up, scale = [1, 1, 1]) {
+  const position = geometry.getAttribute("position");
+  if (!position) return null;
+  const rotation = new THREE.Matrix4().makeRotationFromQuaternion(
+    orientationQuaternion(up)
+  );
+  const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+  const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+  const point = new THREE.Vector3();
+  for (let i = 0; i < position.count; i += 1) {
+    point
+      .set(
+        position.getX(i) * scale[0],
+        position.getY(i) * scale[1],
+        position.getZ(i) * scale[2]
+      )
+      .applyMatrix4(rotation);
+    min.min(point);
+    max.max(point);
+  }
+  return { width: max.x - min.x, depth: max.z - min.z, height: max.y - min.y };
+}
+
+// Every candidate with its metrics, best (lowest score) first.
+export function scoreOrientations(geometry, options = {}) {
+  const { scale = [1, 1, 1], printType = "resin", overhangAngle } = options;
+  const weights = scoreWeights[printType] ?? scoreWeights.resin;
+  const measured = orientationCandidates.map((candidate) => {
+    const size = orientedSize(geometry, candidate.up, scale);
+    const supports = estimateSupports(geometry, {
+      up: candidate.up,
+      scale,
+      overhangAngle,
+    });
+    return {
+      ...candidate,
+      ...size,
+      overhangAreaMm2: supports.supportedAreaMm2,
+      footprintMm2: size.width * size.depth,
+    };
+  });
+
+  const worst = (key) =>
+    Math.max(...measured.map((candidate) => candidate[key])) || 1;
+  const maxOverhang = worst("overhangAreaMm2");
+  const maxHeight = worst("height");
+  const maxFootprint = worst("footprintMm2");
+
+  return measured
+    .map((candidate) => ({
+      ...candidate,
+      score:
+        weights.overhang * (candidate.overhangAreaMm2 / maxOverhang) +
+        weights.height * (candidate.height / maxHeight) +
+        weights.footprint * (candidate.footprintMm2 / maxFootprint),
+    }))
+    .sort((a, b) => a.score - b.score);
+}
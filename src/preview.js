@@ -0,0 +1,646 @@
+import * as THREE from "three";
+import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { itemScaleFactors } from "./pricing.js";
+import { buildAxes } from "./supports.js";
+import { voxelLabels } from "./hollowing.js";
+import { orientationQuaternion } from "./orientation.js";
+
+const modelColor = 0x38bdf8;
+const plateColor = 0x1e293b;
+const shellColor = "#f97316";
+const cavityColor = "#0f172a";
+const overhangColor = new THREE.Color(0xef4444);
+const thinWallColor = new THREE.Color(0xfacc15);
+const guideColor = 0xe2e8f0;
+const measureColor = 0x22c55e;
+const PICK_TOLERANCE_PX = 4;
+
+export function createModelMaterial() {
+  return new THREE.MeshStandardMaterial({
+    color: modelColor,
+    metalness: 0.2,
+    roughness: 0.4,
+  });
+}
+
+// Renders `object` into `container` with orbit controls and returns a cleanup
+// function. "model" frames the object head-on around its centre; "plate" looks
+// down at an angle, which reads better for a flat build plate. `onPick` gets
+// the world point of every click (not drag) that lands on a visible mesh.
+// `drag` is { handle, onDrag }: pressing on the visible `handle` object stops
+// the orbit controls and sends onDrag the pointer ray until release.
+export function mountPreview(
+  container,
+  object,
+  { view = "model", onPick, drag } = {}
+) {
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x0b1120);
+
+  const camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
+  const renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setPixelRatio(window.devicePixelRatio || 1);
+  renderer.localClippingEnabled = true;
+  container.innerHTML = "";
+  container.appendChild(renderer.domElement);
+
+  scene.add(object);
+  const ambient = new THREE.AmbientLight(0xffffff, 0.7);
+  const directional = new THREE.DirectionalLight(0xffffff, 0.8);
+  directional.position.set(5, 8, 10);
+  scene.add(ambient, directional);
+
+  const box = new THREE.Box3().setFromObject(object);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+  if (view === "model") {
+    object.position.sub(center);
+    center.set(0, 0, 0);
+  }
+
+  const maxDim = Math.max(size.x, size.y, size.z) || 1;
+  camera.near = maxDim / 100;
+  camera.far = maxDim * 10;
+  if (view === "plate") {
+    camera.position.set(center.x, center.y + maxDim, center.z + maxDim);
+  } else {
+    camera.position.set(0, 0, maxDim * 1.8);
+  }
+  camera.updateProjectionMatrix();
+
+  const controls = new OrbitControls(camera, renderer.domElement);
+  controls.enableDamping = true;
+  controls.target.copy(center);
+
+  const resize = () => {
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    renderer.setSize(width, height);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+  };
+
+  const raycaster = new THREE.Raycaster();
+  const aimAt = (event) => {
+    const rect = renderer.domElement.getBoundingClientRect();
+    raycaster.setFromCamera(
+      new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      ),
+      camera
+    );
+  };
+
+  // Listens in the capture phase so it runs before OrbitControls' own
+  // pointerdown and can turn the controls off for the drag.
+  let dragging = false;
+  const handleDragStart = (event) => {
+    if (!drag.handle.visible) return;
+    aimAt(event);
+    if (!raycaster.intersectObject(drag.handle).length) return;
+    dragging = true;
+    controls.enabled = false;
+    container.setPointerCapture?.(event.pointerId);
+  };
+  const handleDragMove = (event) => {
+    if (!dragging) return;
+    aimAt(event);
+    drag.onDrag(raycaster.ray);
+  };
+  const handleDragEnd = () => {
+    dragging = false;
+    controls.enabled = true;
+  };
+  if (drag) {
+    container.addEventListener("pointerdown", handleDragStart, true);
+    container.addEventListener("pointermove", handleDragMove);
+    container.addEventListener("pointerup", handleDragEnd);
+    container.addEventListener("pointercancel", handleDragEnd);
+  }
+
+  let pressed = null;
+  const handlePointerDown = (event) => {
+    pressed = { x: event.clientX, y: event.clientY };
+  };
+  const handlePointerUp = (event) => {
+    if (
+      !pressed ||
+      Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y) >
+        PICK_TOLERANCE_PX
+    ) {
+      return;
+    }
+    aimAt(event);
+    // Skip overlays and anything a clipping plane has cut away.
+    const hit = raycaster
+      .intersectObject(object, true)
+      .find(
+        (item) =>
+          item.object.userData.pickable &&
+          (item.object.material.clippingPlanes ?? []).every(
+            (plane) => plane.distanceToPoint(item.point) >= 0
+          )
+      );
+    if (hit) onPick(hit.point.clone());
+  };
+  if (onPick) {
+    renderer.domElement.addEventListener("pointerdown", handlePointerDown);
+    renderer.domElement.addEventListener("pointerup", handlePointerUp);
+  }
+
+  const resizeObserver = new ResizeObserver(resize);
+  resizeObserver.observe(container);
+  resize();
+
+  let frame = 0;
+  const animate = () => {
+    frame = requestAnimationFrame(animate);
+    controls.update();
+    renderer.render(scene, camera);
+  };
+  animate();
+
+  return () => {
+    cancelAnimationFrame(frame);
+    renderer.domElement.removeEventListener("pointerdown", handlePointerDown);
+    renderer.domElement.removeEventListener("pointerup", handlePointerUp);
+    container.removeEventListener("pointerdown", handleDragStart, true);
+    container.removeEventListener("pointermove", handleDragMove);
+    container.removeEventListener("pointerup", handleDragEnd);
+    container.removeEventListener("pointercancel", handleDragEnd);
+    resizeObserver.disconnect();
+    controls.dispose();
+    renderer.dispose();
+    if (container.contains(renderer.domElement)) {
+      container.removeChild(renderer.domElement);
+    }
+  };
+}
+
+// One-off render of a model to a PNG data URL, for exports. The renderer is
+// thrown away straight after so repeated exports don't pile up GL contexts.
+export function renderThumbnail(geometry, { size = 256, scale } = {}) {
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x0b1120);
+  const material = createModelMaterial();
+  const mesh = new THREE.Mesh(geometry, material);
+  if (scale) mesh.scale.set(...scale);
+  scene.add(mesh);
+  const directional = new THREE.DirectionalLight(0xffffff, 0.8);
+  directional.position.set(5, 8, 10);
+  scene.add(new THREE.AmbientLight(0xffffff, 0.7), directional);
+
+  const box = new THREE.Box3().setFromObject(mesh);
+  const center = box.getCenter(new THREE.Vector3());
+  const maxDim = Math.max(...box.getSize(new THREE.Vector3()).toArray()) || 1;
+  mesh.position.sub(center);
+
+  const camera = new THREE.PerspectiveCamera(45, 1, maxDim / 100, maxDim * 10);
+  camera.position.set(maxDim * 1.1, maxDim * 0.8, maxDim * 1.3);
+  camera.lookAt(0, 0, 0);
+
+  const renderer = new THREE.WebGLRenderer({
+    antialias: true,
+    preserveDrawingBuffer: true,
+  });
+  renderer.setSize(size, size);
+  renderer.render(scene, camera);
+  const dataUrl = renderer.domElement.toDataURL("image/png");
+  renderer.dispose();
+  renderer.forceContextLoss();
+  material.dispose();
+  return dataUrl;
+}
+
+// Builds one plate of a nesting layout: the plate itself plus every placed copy,
+// scaled and stood on its orientation (or the build axis), sitting at its
+// packed footprint. Scene Y is up; plate X/Y map to scene X/Z.
+export function createPlateLayoutObject({
+  layout,
+  plateIndex,
+  items,
+  geometries,
+  buildAxis,
+}) {
+  const group = new THREE.Group();
+  const materials = [];
+  const plate = layout.plate;
+  const placements = layout.plates[plateIndex]?.placements ?? [];
+
+  const plateMaterial = new THREE.MeshStandardMaterial({ color: plateColor });
+  const plateGeometry = new THREE.BoxGeometry(plate.width, 1, plate.depth);
+  const plateMesh = new THREE.Mesh(plateGeometry, plateMaterial);
+  plateMesh.position.set(plate.width / 2, -0.5, plate.depth / 2);
+  group.add(plateMesh);
+  materials.push(plateMaterial);
+
+  const material = createModelMaterial();
+  materials.push(material);
+  const jobUp = buildAxes[buildAxis] ?? buildAxes["+z"];
+
+  for (const placement of placements) {
+    const geometry = geometries[placement.itemIndex];
+    if (!geometry) continue;
+    const item = items[placement.itemIndex];
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.scale.set(...itemScaleFactors(item));
+    mesh.quaternion.copy(orientationQuaternion(item.orientation ?? jobUp));
+    const holder = new THREE.Group();
+    holder.add(mesh);
+
+    let bounds = new THREE.Box3().setFromObject(holder);
+    const footprint = bounds.getSize(new THREE.Vector3());
+    if (
+      Math.abs(footprint.x - placement.width) >
+      Math.abs(footprint.z - placement.width)
+    ) {
+      holder.rotation.y = Math.PI / 2;
+      bounds = new THREE.Box3().setFromObject(holder);
+    }
+    holder.position.set(
+      placement.x - bounds.min.x,
+      -bounds.min.y,
+      placement.y - bounds.min.z
+    );
+    group.add(holder);
+  }
+
+  return {
+    object: group,
+    dispose: () => {
+      plateGeometry.dispose();
+      materials.forEach((item) => item.dispose());
+    },
+  };
+}
+
+function sectionTexture(grid, axis, layer) {
+  const [uAxis, vAxis] = [0, 1, 2].filter((item) => item !== axis);
+  const { dims, labels } = grid;
+  const canvas = document.createElement("canvas");
+  canvas.width = dims[uAxis];
+  canvas.height = dims[vAxis];
+  const context = canvas.getContext("2d");
+  const cell = [0, 0, 0];
+  cell[axis] = layer;
+  for (let u = 0; u < dims[uAxis]; u += 1) {
+    for (let v = 0; v < dims[vAxis]; v += 1) {
+      cell[uAxis] = u;
+      cell[vAxis] = v;
+      const label =
+        labels[cell[0] + dims[0] * (cell[1] + dims[1] * cell[2])];
+      if (label === voxelLabels.outside) continue;
+      context.fillStyle =
+        label === voxelLabels.shell ? shellColor : cavityColor;
+      context.fillRect(u, dims[vAxis] - 1 - v, 1, 1);
+    }
+  }
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.magFilter = THREE.NearestFilter;
+  texture.minFilter = THREE.NearestFilter;
+  return texture;
+}
+
+// Cuts a hollowed model across its build axis at `fraction` of its height: the
+// part above the cut is clipped away and the cut face shows the voxel slice,
+// shell in orange and cavity in dark blue. The object is already centred on
+// the origin, because clipping planes live in world space and mountPreview
+// would otherwise move the model out from under its plane.
+export function createSectionObject({
+  geometry,
+  scale,
+  hollow,
+  buildAxis,
+  fraction,
+}) {
+  const { grid } = hollow;
+  const axis = (buildAxes[buildAxis] ?? buildAxes["+z"]).findIndex(
+    (component) => component !== 0
+  );
+  const extent = grid.dims.map((count) => count * grid.voxel);
+  const center = grid.origin.map(
+    (value, index) => value + grid.size[index] / 2
+  );
+  const layer = Math.min(
+    Math.max(Math.floor(fraction * grid.dims[axis]), 0),
+    grid.dims[axis] - 1
+  );
+  const cut = (layer + 0.5) * grid.voxel - grid.size[axis] / 2;
+
+  const normal = new THREE.Vector3();
+  normal.setComponent(axis, -1);
+  const material = createModelMaterial();
+  material.side = THREE.DoubleSide;
+  material.clippingPlanes = [new THREE.Plane(normal, cut)];
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.scale.set(...scale);
+  mesh.position.set(-center[0], -center[1], -center[2]);
+
+  const [uAxis, vAxis] = [0, 1, 2].filter((item) => item !== axis);
+  const corners = [
+    [0, 0],
+    [1, 0],
+    [1, 1],
+    [0, 1],
+  ].map(([u, v]) => {
+    const point = [0, 0, 0];
+    point[axis] = cut + grid.voxel * 0.01;
+    point[uAxis] = u * extent[uAxis] - grid.size[uAxis] / 2;
+    point[vAxis] = v * extent[vAxis] - grid.size[vAxis] / 2;
+    return point;
+  });
+  const sliceGeometry = new THREE.BufferGeometry();
+  sliceGeometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(corners.flat(), 3)
+  );
+  sliceGeometry.setAttribute(
+    "uv",
+    new THREE.Float32BufferAttribute([0, 0, 1, 0, 1, 1, 0, 1], 2)
+  );
+  sliceGeometry.setIndex([0, 1, 2, 0, 2, 3]);
+  const texture = sectionTexture(grid, axis, layer);
+  const sliceMaterial = new THREE.MeshBasicMaterial({
+    map: texture,
+    side: THREE.DoubleSide,
+    transparent: true,
+  });
+
+  const group = new THREE.Group();
+  group.add(mesh, new THREE.Mesh(sliceGeometry, sliceMaterial));
+  return {
+    object: group,
+    dispose: () => {
+      material.dispose();
+      sliceGeometry.dispose();
+      sliceMaterial.dispose();
+      texture.dispose();
+    },
+  };
+}
+
+// Flat text that always faces the camera and draws over the model. `height` is
+// the label height in scene units.
+function labelSprite(text, height) {
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d");
+  const font = "600 48px system-ui, sans-serif";
+  context.font = font;
+  canvas.width = Math.ceil(context.measureText(text).width) + 32;
+  canvas.height = 72;
+  context.font = font;
+  context.fillStyle = "rgba(15, 23, 42, 0.85)";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = "#e2e8f0";
+  context.textBaseline = "middle";
+  context.fillText(text, 16, canvas.height / 2);
+  const texture = new THREE.CanvasTexture(canvas);
+  const material = new THREE.SpriteMaterial({
+    map: texture,
+    depthTest: false,
+  });
+  const sprite = new THREE.Sprite(material);
+  sprite.scale.set((height * canvas.width) / canvas.height, height, 1);
+  sprite.renderOrder = 2;
+  return {
+    sprite,
+    dispose: () => {
+      texture.dispose();
+      material.dispose();
+    },
+  };
+}
+
+// A non-indexed copy of the model, so every face owns its vertices, with a
+// colour attribute for paintHeatmap.
+function heatmapGeometry(geometry) {
+  const copy = geometry.index ? geometry.toNonIndexed() : geometry.clone();
+  const colors = new Float32Array(copy.getAttribute("position").count * 3);
+  copy.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+  return copy;
+}
+
+// Colours each face by the heatmap: thin walls over overhangs over the plain
+// model colour.
+function paintHeatmap(geometry, heatmap, minWallMm) {
+  const colors = geometry.getAttribute("color");
+  const base = new THREE.Color(modelColor);
+  for (let face = 0; face < heatmap.faceCount; face += 1) {
+    const color =
+      heatmap.thickness[face] < minWallMm
+        ? thinWallColor
+        : heatmap.overhang[face]
+          ? overhangColor
+          : base;
+    for (let k = 0; k < 3; k += 1) {
+      color.toArray(colors.array, (face * 3 + k) * 3);
+    }
+  }
+  colors.needsUpdate = true;
+}
+
+// The model preview: the scaled model stood on `up`, optionally coloured by a
+// face heatmap, with bounding-box dimensions, a clipping plane and a
+// two-point measuring tool that the caller drives through the returned
+// functions. Pre-centred for the same reason as the section view.
+export function createModelView({
+  geometry,
+  scale = [1, 1, 1],
+  up,
+  formatLength = (value) => value.toFixed(1),
+}) {
+  const disposers = [];
+  const clipPlane = new THREE.Plane();
+  // Made on the first heatmap and kept for recolouring.
+  let colouredGeometry = null;
+  disposers.push(() => colouredGeometry?.dispose());
+  const material = createModelMaterial();
+  material.side = THREE.DoubleSide;
+  disposers.push(() => material.dispose());
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.userData.pickable = true;
+  mesh.scale.set(...scale);
+  if (up) mesh.quaternion.copy(orientationQuaternion(up));
+  const box = new THREE.Box3().setFromObject(mesh);
+  const size = box.getSize(new THREE.Vector3());
+  mesh.position.sub(box.getCenter(new THREE.Vector3()));
+  const half = size.clone().multiplyScalar(0.5);
+  const maxDim = Math.max(size.x, size.y, size.z) || 1;
+  const labelHeight = maxDim * 0.06;
+
+  const dimensions = new THREE.Group();
+  const frame = new THREE.Box3Helper(
+    new THREE.Box3(half.clone().negate(), half.clone()),
+    guideColor
+  );
+  dimensions.add(frame);
+  disposers.push(() => frame.dispose());
+  const gap = labelHeight;
+  [
+    [size.x, new THREE.Vector3(0, -half.y - gap, half.z)],
+    [size.y, new THREE.Vector3(half.x + gap, 0, half.z)],
+    [size.z, new THREE.Vector3(half.x + gap, -half.y - gap, 0)],
+  ].forEach(([length, position]) => {
+    const label = labelSprite(`${formatLength(length)} mm`, labelHeight);
+    label.sprite.position.copy(position);
+    dimensions.add(label.sprite);
+    disposers.push(label.dispose);
+  });
+
+  const measureGroup = new THREE.Group();
+  const markerGeometry = new THREE.SphereGeometry(maxDim / 120, 12, 8);
+  const markerMaterial = new THREE.MeshBasicMaterial({
+    color: measureColor,
+    depthTest: false,
+  });
+  const lineMaterial = new THREE.LineBasicMaterial({
+    color: measureColor,
+    depthTest: false,
+  });
+  disposers.push(() => {
+    markerGeometry.dispose();
+    markerMaterial.dispose();
+    lineMaterial.dispose();
+  });
+  let points = [];
+  let measureDisposers = [];
+  const clearMeasure = () => {
+    measureGroup.clear();
+    measureDisposers.forEach((dispose) => dispose());
+    measureDisposers = [];
+    points = [];
+  };
+
+  // The clipping plane drawn across the model's box, for dragging.
+  const clipHandleGeometry = new THREE.PlaneGeometry(1, 1);
+  const clipHandleMaterial = new THREE.MeshBasicMaterial({
+    color: guideColor,
+    transparent: true,
+    opacity: 0.15,
+    side: THREE.DoubleSide,
+    depthWrite: false,
+  });
+  const clipHandle = new THREE.Mesh(clipHandleGeometry, clipHandleMaterial);
+  clipHandle.visible = false;
+  disposers.push(() => {
+    clipHandleGeometry.dispose();
+    clipHandleMaterial.dispose();
+  });
+  let clipAxis = "y";
+
+  const group = new THREE.Group();
+  group.add(mesh, dimensions, measureGroup, clipHandle);
+
+  return {
+    object: group,
+    clipHandle,
+    size: { width: size.x, height: size.y, depth: size.z },
+    setDimensionsVisible: (visible) => {
+      dimensions.visible = visible;
+    },
+    // Colours the model by a faceHeatmap result, or back to plain with null.
+    setHeatmap: (heatmap, minWallMm) => {
+      if (heatmap) {
+        if (!colouredGeometry) colouredGeometry = heatmapGeometry(geometry);
+        paintHeatmap(colouredGeometry, heatmap, minWallMm);
+        mesh.geometry = colouredGeometry;
+        material.vertexColors = true;
+        material.color.set(0xffffff);
+      } else {
+        mesh.geometry = geometry;
+        material.vertexColors = false;
+        material.color.set(modelColor);
+      }
+      material.needsUpdate = true;
+    },
+    // Keeps what lies below `fraction` of the model along `axis` (scene axis:
+    // "x", "y" for height, or "z"). The labels make mountPreview's centring
+    // shift the group a little, so the plane follows the group's transform.
+    setClip: ({ enabled, axis = "y", fraction = 1 }) => {
+      const index = "xyz".indexOf(axis);
+      const normal = new THREE.Vector3().setComponent(index, -1);
+      group.updateMatrixWorld();
+      clipPlane
+        .setFromNormalAndCoplanarPoint(
+          normal,
+          new THREE.Vector3().setComponent(
+            index,
+            fraction * size.getComponent(index) - half.getComponent(index)
+          )
+        )
+        .applyMatrix4(group.matrixWorld);
+      material.clippingPlanes = enabled ? [clipPlane] : [];
+      material.needsUpdate = true;
+
+      clipAxis = axis;
+      clipHandle.visible = enabled;
+      clipHandle.position
+        .set(0, 0, 0)
+        .setComponent(
+          index,
+          fraction * size.getComponent(index) - half.getComponent(index)
+        );
+      // PlaneGeometry faces +z; turn it to face the clipping axis.
+      clipHandle.rotation.set(
+        axis === "y" ? -Math.PI / 2 : 0,
+        axis === "x" ? Math.PI / 2 : 0,
+        0
+      );
+      if (axis === "x") clipHandle.scale.set(size.z, size.y, 1);
+      else if (axis === "y") clipHandle.scale.set(size.x, size.z, 1);
+      else clipHandle.scale.set(size.x, size.y, 1);
+    },
+    // The clip fraction under a pointer ray: the point on the model's centre
+    // line along the clipping axis closest to the ray.
+    clipFractionAt: (ray) => {
+      const index = "xyz".indexOf(clipAxis);
+      const from = new THREE.Vector3().setComponent(
+        index,
+        -half.getComponent(index)
+      );
+      const to = new THREE.Vector3().setComponent(
+        index,
+        half.getComponent(index)
+      );
+      group.updateMatrixWorld();
+      from.applyMatrix4(group.matrixWorld);
+      to.applyMatrix4(group.matrixWorld);
+      const closest = new THREE.Vector3();
+      ray.distanceSqToSegment(from, to, undefined, closest);
+      return from.distanceTo(closest) / (from.distanceTo(to) || 1);
+    },
+    // Adds a measuring point (a world point from mountPreview's onPick) and
+    // returns the distance once there are two; a third click starts over.
+    addMeasurePoint: (point) => {
+      if (points.length === 2) clearMeasure();
+      const local = group.worldToLocal(point.clone());
+      points.push(local);
+      const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+      marker.position.copy(local);
+      marker.renderOrder = 1;
+      measureGroup.add(marker);
+      if (points.length < 2) return null;
+
+      const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
+      const line = new THREE.Line(lineGeometry, lineMaterial);
+      line.renderOrder = 1;
+      const distance = points[0].distanceTo(points[1]);
+      const label = labelSprite(`${formatLength(distance)} mm`, labelHeight);
+      label.sprite.position
+        .copy(points[0])
+        .add(points[1])
+        .multiplyScalar(0.5)
+        .add(new THREE.Vector3(0, labelHeight, 0));
+      measureGroup.add(line, label.sprite);
+      measureDisposers.push(() => lineGeometry.dispose(), label.dispose);
+      return distance;
+    },
+    clearMeasure,
+    dispose: () => {
+      clearMeasure();
+      disposers.forEach((dispose) => dispose());
+    },
+  };
+}
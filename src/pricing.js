@@ -0,0 +1,543 @@
+// Pure cost engine: takes geometry summaries ({ name, volumeMm3 }) and a job
+// configuration, and returns per-item and per-project cost breakdowns.
+// Row figures cover every copy; `unitCost` is per copy. Fields for the
+// optional estimates are described on the functions that read them.
+
+import { buildAxes } from "./supports.js";
+import {
+  defaultPrinterProfile,
+  estimateFdmHours,
+  estimateResinHours,
+} from "./printTime.js";
+import { packPlates } from "./nesting.js";
+import { defaultFdmSettings, fdmMaterialVolumes } from "./fdm.js";
+import { mergeEnergySplits, splitEnergyCost } from "./tariffs.js";
+
+export const unitToMm = {
+  mm: 1,
+  cm: 10,
+  in: 25.4,
+};
+
+export const defaultJobConfig = {
+  printType: "resin",
+  pricePerLiter: 200,
+  pricePerKg: 25,
+  filamentDensity: 1.24,
+  infillPercent: 20,
+  shellFactor: 0.15,
+  fdmSettings: defaultFdmSettings,
+  supportPercent: 20,
+  supportMode: "percent",
+  includeSupports: true,
+  buildAxis: "+z",
+  energyRate: 0.2,
+  printerPower: 50,
+  printHours: 2,
+  plateSpacing: 5,
+  timeMode: "manual",
+  printerProfile: defaultPrinterProfile,
+  includeEnergy: true,
+  costMode: "per_stl",
+  materialName: "",
+  tariffPeriods: null,
+  startTime: "",
+};
+
+// With `tariffPeriods` and a planned `startTime`, energy is priced on the
+// time-of-use schedule instead of the flat `energyRate`. `offsetHours` shifts
+// the window past the planned start, for work queued behind earlier prints.
+export function energyCostSplit(hours, config, offsetHours = 0) {
+  const { printerPower, energyRate, tariffPeriods, startTime } = {
+    ...defaultJobConfig,
+    ...config,
+  };
+  const start = startTime ? new Date(startTime).getTime() : NaN;
+  if (!tariffPeriods || Number.isNaN(start)) {
+    const cost =
+      (Math.max(printerPower, 0) / 1000) *
+      Math.max(hours, 0) *
+      Math.max(energyRate, 0);
+    return { cost, split: [] };
+  }
+  return splitEnergyCost({
+    start: start + Math.max(offsetHours, 0) * 3.6e6,
+    hours,
+    powerWatts: printerPower,
+    periods: tariffPeriods,
+    fallbackRate: energyRate,
+  });
+}
+
+export function energyCostForHours(hours, config, offsetHours = 0) {
+  return energyCostSplit(hours, config, offsetHours).cost;
+}
+
+export function energyCostBase(config) {
+  const { printHours } = { ...defaultJobConfig, ...config };
+  return energyCostForHours(printHours, config);
+}
+
+// Depreciation plus consumable wear, per print hour.
+export function machineCostPerHour(profile) {
+  const { purchasePrice, lifetimeHours, consumables } = {
+    ...defaultPrinterProfile,
+    ...profile,
+  };
+  const depreciation =
+    lifetimeHours > 0 ? Math.max(purchasePrice, 0) / lifetimeHours : 0;
+  const wear = (consumables ?? []).reduce(
+    (sum, part) =>
+      part.intervalHours > 0
+        ? sum + Math.max(part.cost, 0) / part.intervalHours
+        : sum,
+    0
+  );
+  return depreciation + wear;
+}
+
+function resolveConfig(config) {
+  const resolved = { ...defaultJobConfig, ...config };
+  return {
+    ...resolved,
+    pricePerMl: resolved.pricePerLiter / 1000,
+    pricePerGram: resolved.pricePerKg / 1000,
+    machineRate: machineCostPerHour(resolved.printerProfile),
+  };
+}
+
+// Items may carry `scale` ([x, y, z] factors) and the source `unit` of the
+// file; both apply on top of the volume.
+export function itemScaleFactors(item) {
+  const unit = unitToMm[item.unit] ?? 1;
+  const [x = 1, y = 1, z = 1] = item.scale ?? [];
+  return [Math.abs(x) * unit, Math.abs(y) * unit, Math.abs(z) * unit];
+}
+
+export function itemQuantity(item) {
+  return Math.max(Math.floor(item.quantity ?? 1), 0);
+}
+
+// Splits the scaled bounding box into plate footprint and build height. The
+// footprint axes keep model order, e.g. X/Y when Z is up. Items stood on their
+// own orientation carry `orientedSizeMm` ({ width, depth, height }, already
+// scaled) instead.
+export function itemDimensionsMm(item, buildAxis = "+z") {
+  if (item.orientedSizeMm) return item.orientedSizeMm;
+  if (!item.sizeMm) return null;
+  const up = buildAxes[buildAxis] ?? buildAxes["+z"];
+  const factors = itemScaleFactors(item);
+  const scaled = item.sizeMm.map((size, axis) => size * factors[axis]);
+  const upIndex = up.findIndex((component) => component !== 0);
+  const [width, depth] = scaled.filter((_, axis) => axis !== upIndex);
+  return { width, depth, height: item.heightMm ?? scaled[upIndex] };
+}
+
+export function itemHeightMm(item, buildAxis = "+z") {
+  if (item.heightMm != null) return item.heightMm;
+  return itemDimensionsMm(item, buildAxis)?.height ?? null;
+}
+
+// Nests every copy onto build plates when the profile has a build volume.
+export function layoutPlates(items, config) {
+  const { printerProfile, buildAxis, plateSpacing } = {
+    ...defaultJobConfig,
+    ...config,
+  };
+  const { buildWidth, buildDepth, buildHeight } = printerProfile;
+  if (!(buildWidth > 0 && buildDepth > 0)) return null;
+
+  const parts = [];
+  items.forEach((item, itemIndex) => {
+    if (item.error) return;
+    const dimensions = itemDimensionsMm(item, buildAxis);
+    if (!dimensions) return;
+    for (let copy = 0; copy < itemQuantity(item); copy += 1) {
+      parts.push({ itemIndex, name: item.name, copy, ...dimensions });
+    }
+  });
+  if (parts.length === 0) return null;
+
+  return packPlates(
+    parts,
+    { width: buildWidth, depth: buildDepth, height: buildHeight },
+    plateSpacing
+  );
+}
+
+function plateRunsByItem(layout) {
+  const runs = new Map();
+  for (const plate of layout?.plates ?? []) {
+    const items = new Set(plate.placements.map((part) => part.itemIndex));
+    for (const itemIndex of items) {
+      runs.set(itemIndex, (runs.get(itemIndex) ?? 0) + 1);
+    }
+  }
+  return runs;
+}
+
+// Rows read from slicer output carry `sliced` ({ printHours, ... }, see
+// sliced.js) and their hours are used as-is. With `timeMode: "auto"`, hours
+// come from the printer profile and the item's `sizeMm` (or `heightMm`)
+// instead of the typed `printHours`. Resin copies share a plate run, so their
+// time grows with the number of runs rather than the quantity; FDM copies are
+// printed one after another.
+function itemPrintHours(item, config, extrudedVolumeMm3) {
+  if (item.sliced?.printHours != null) {
+    return {
+      printHours: item.sliced.printHours * item.quantity,
+      timeSource: "sliced",
+    };
+  }
+  if (config.timeMode === "auto") {
+    if (config.printType === "filament") {
+      return {
+        printHours:
+          estimateFdmHours(extrudedVolumeMm3, config.printerProfile) *
+          item.quantity,
+        timeSource: "auto",
+      };
+    }
+    const heightMm = itemHeightMm(item, config.buildAxis);
+    if (heightMm != null) {
+      return {
+        printHours:
+          estimateResinHours(heightMm, config.printerProfile) *
+          Math.max(item.plateRuns ?? 1, 1),
+        timeSource: "auto",
+      };
+    }
+  }
+  return {
+    printHours: Math.max(config.printHours, 0) * item.quantity,
+    timeSource: "manual",
+  };
+}
+
+function itemEnergy(printHours, config) {
+  return config.includeEnergy && config.costMode === "per_stl"
+    ? energyCostSplit(printHours, config, config.startOffsetHours)
+    : { cost: 0, split: [] };
+}
+
+// Machine time is charged like energy: per item in per-STL mode, once per
+// project otherwise.
+function itemMachineCost(printHours, config) {
+  return config.costMode === "per_stl"
+    ? Math.max(printHours, 0) * config.machineRate
+    : 0;
+}
+
+// Grams per copy. Items with `fdmSurfaces` (side/top/bottom areas per copy,
+// already scaled) use the perimeter and skin model in fdm.js when
+// `fdmSettings.model` is "surface", split into walls, top/bottom skins and
+// infill; otherwise grams follow the infill plus `shellFactor` volume.
+function filamentGramsEach(item, config) {
+  if (item.filamentGrams != null) {
+    return { gramsEach: Math.max(item.filamentGrams, 0), breakdown: null };
+  }
+  if (item.sliced?.extrudedMm3 != null) {
+    return {
+      gramsEach: (item.sliced.extrudedMm3 / 1000) * config.filamentDensity,
+      breakdown: null,
+    };
+  }
+  const fdmSettings = { ...defaultFdmSettings, ...config.fdmSettings };
+  if (fdmSettings.model === "surface" && item.fdmSurfaces) {
+    const volumes = fdmMaterialVolumes(
+      item.scaledVolumeMm3,
+      item.fdmSurfaces,
+      fdmSettings,
+      config.infillPercent
+    );
+    const grams = (volumeMm3) => (volumeMm3 / 1000) * config.filamentDensity;
+    const breakdown = {
+      shellGrams: grams(volumes.shellMm3),
+      topBottomGrams: grams(volumes.topBottomMm3),
+      infillGrams: grams(volumes.infillMm3),
+    };
+    return {
+      gramsEach:
+        breakdown.shellGrams + breakdown.topBottomGrams + breakdown.infillGrams,
+      breakdown,
+    };
+  }
+  const volumeCm3 = item.scaledVolumeMm3 / 1000;
+  const infillRatio = Math.max(config.infillPercent, 0) / 100;
+  const effectiveVolumeCm3 = volumeCm3 * (infillRatio + config.shellFactor);
+  return {
+    gramsEach: effectiveVolumeCm3 * config.filamentDensity,
+    breakdown: null,
+  };
+}
+
+function priceFilamentItem(item, config) {
+  const { gramsEach, breakdown } = filamentGramsEach(item, config);
+  const filamentGrams = gramsEach * item.quantity;
+  const materialCost = filamentGrams * config.pricePerGram;
+  const extrudedVolumeMm3 =
+    config.filamentDensity > 0
+      ? (gramsEach / config.filamentDensity) * 1000
+      : 0;
+  const time = itemPrintHours(item, config, extrudedVolumeMm3);
+  const energy = itemEnergy(time.printHours, config);
+  const energyCost = energy.cost;
+  const machineCost = itemMachineCost(time.printHours, config);
+  return {
+    ...item,
+    ...time,
+    filamentGrams,
+    filamentBreakdown: breakdown && {
+      shellGrams: breakdown.shellGrams * item.quantity,
+      topBottomGrams: breakdown.topBottomGrams * item.quantity,
+      infillGrams: breakdown.infillGrams * item.quantity,
+    },
+    materialCost,
+    energyCost,
+    energySplit: energy.split,
+    machineCost,
+    cost: materialCost + energyCost + machineCost,
+  };
+}
+
+// With `supportMode: "geometry"`, `estimatedSupportMm3` (per copy, already
+// scaled) replaces the flat support percentage. Hollowed items carry
+// `shellVolumeMm3` (per copy, already scaled) and are priced on that shell;
+// percentage supports still follow the solid volume. Sliced volumes already
+// include supports.
+function priceResinItem(item, config) {
+  const solidVolumeMl = (item.scaledVolumeMm3 / 1000) * item.quantity;
+  const volumeMl =
+    item.shellVolumeMm3 != null
+      ? (item.shellVolumeMm3 / 1000) * item.quantity
+      : solidVolumeMl;
+  const percentSupportVolumeMl = item.sliced
+    ? 0
+    : solidVolumeMl * (config.supportPercent / 100);
+  const geometrySupportVolumeMl =
+    item.estimatedSupportMm3 != null
+      ? (item.estimatedSupportMm3 / 1000) * item.quantity
+      : null;
+  const supportVolumeMl =
+    config.supportMode === "geometry" && geometrySupportVolumeMl != null
+      ? geometrySupportVolumeMl
+      : percentSupportVolumeMl;
+  const totalVolumeMl = config.includeSupports
+    ? volumeMl + supportVolumeMl
+    : volumeMl;
+  const materialCost = totalVolumeMl * config.pricePerMl;
+  const time = itemPrintHours(item, config);
+  const energy = itemEnergy(time.printHours, config);
+  const energyCost = energy.cost;
+  const machineCost = itemMachineCost(time.printHours, config);
+  return {
+    ...item,
+    ...time,
+    solidVolumeMl,
+    volumeMl,
+    supportVolumeMl,
+    percentSupportVolumeMl,
+    geometrySupportVolumeMl,
+    totalVolumeMl,
+    materialCost,
+    energyCost,
+    energySplit: energy.split,
+    machineCost,
+    cost: materialCost + energyCost + machineCost,
+  };
+}
+
+// An item's `material` ({ key, name, printType, pricePerLiter, pricePerKg,
+// filamentDensity }) overrides the job material for that row, so one project
+// can mix resins and filaments.
+function itemConfig(item, config) {
+  if (!item.material) return config;
+  const { key, name, ...overrides } = item.material;
+  return resolveConfig({ ...config, ...overrides });
+}
+
+function materialLabel(name, printType) {
+  return name || (printType === "filament" ? "Filament" : "Resin");
+}
+
+function priceResolvedItem(item, jobConfig) {
+  if (item.error) return item;
+  const config = itemConfig(item, jobConfig);
+  const quantity = itemQuantity(item);
+  const [x, y, z] = itemScaleFactors(item);
+  const scaled = {
+    ...item,
+    quantity,
+    scaledVolumeMm3: item.volumeMm3 * x * y * z,
+  };
+  const priced =
+    config.printType === "filament"
+      ? priceFilamentItem(scaled, config)
+      : priceResinItem(scaled, config);
+  return {
+    ...priced,
+    printType: config.printType,
+    materialKey: item.material?.key ?? "job",
+    materialName: materialLabel(
+      item.material?.name ?? jobConfig.materialName,
+      config.printType
+    ),
+    unitCost: quantity > 0 ? priced.cost / quantity : 0,
+  };
+}
+
+export function priceItem(item, config) {
+  return priceResolvedItem(item, resolveConfig(config));
+}
+
+export function sumTotals(items) {
+  return items.reduce(
+    (acc, item) => {
+      if (!item.error) {
+        acc.totalVolumeMl += item.totalVolumeMl ?? item.volumeMl ?? 0;
+        acc.totalSupportMl += item.supportVolumeMl ?? 0;
+        acc.totalFilamentGrams += item.filamentGrams ?? 0;
+        acc.totalPrintHours += item.printHours ?? 0;
+        acc.totalEnergyCost += item.energyCost ?? 0;
+        acc.totalMachineCost += item.machineCost ?? 0;
+        acc.totalCost += item.cost;
+        acc.totalCopies += item.quantity ?? 1;
+        acc.validItems += 1;
+      }
+      return acc;
+    },
+    {
+      totalVolumeMl: 0,
+      totalSupportMl: 0,
+      totalFilamentGrams: 0,
+      totalPrintHours: 0,
+      totalEnergyCost: 0,
+      totalMachineCost: 0,
+      totalCost: 0,
+      totalCopies: 0,
+      validItems: 0,
+    }
+  );
+}
+
+export function materialTotals(items) {
+  const groups = new Map();
+  for (const item of items) {
+    if (item.error) continue;
+    if (!groups.has(item.materialKey)) {
+      groups.set(item.materialKey, {
+        key: item.materialKey,
+        name: item.materialName,
+        printType: item.printType,
+        copies: 0,
+        volumeMl: 0,
+        supportMl: 0,
+        filamentGrams: 0,
+        materialCost: 0,
+        cost: 0,
+      });
+    }
+    const group = groups.get(item.materialKey);
+    group.copies += item.quantity ?? 1;
+    group.volumeMl += item.totalVolumeMl ?? 0;
+    group.supportMl += item.supportVolumeMl ?? 0;
+    group.filamentGrams += item.filamentGrams ?? 0;
+    group.materialCost += item.materialCost ?? 0;
+    group.cost += item.cost;
+  }
+  return [...groups.values()];
+}
+
+// Sliced files are separate print jobs, so their hours always add up. Their
+// hours are authoritative even at zero: a job of only sliced files never
+// falls back to the typed print time.
+function projectPrintHours(items, config, layout) {
+  const sliced = items.filter(
+    (item) => !item.error && item.timeSource === "sliced"
+  );
+  const slicedHours = sliced.reduce((sum, item) => sum + item.printHours, 0);
+  const valid = items.filter(
+    (item) => !item.error && item.timeSource !== "sliced"
+  );
+  if (valid.length === 0 && sliced.length > 0) return slicedHours;
+  return slicedHours + meshPrintHours(items, valid, config, layout);
+}
+
+// In per-project mode the whole job is one print: each resin plate run is as
+// long as its tallest resin part, FDM parts still print back to back.
+function meshPrintHours(items, valid, config, layout) {
+  if (config.timeMode !== "auto" || valid.length === 0) {
+    return Math.max(config.printHours, 0);
+  }
+  const filamentHours = valid
+    .filter((item) => item.printType === "filament")
+    .reduce((sum, item) => sum + item.printHours, 0);
+  const resinItems = valid.filter((item) => item.printType !== "filament");
+  if (resinItems.length === 0) return filamentHours;
+  if (layout?.plates.length) {
+    return layout.plates.reduce((sum, plate) => {
+      const heights = plate.placements
+        .filter((part) => items[part.itemIndex].printType !== "filament")
+        .map((part) => part.height);
+      if (heights.length === 0) return sum;
+      return (
+        sum + estimateResinHours(Math.max(...heights), config.printerProfile)
+      );
+    }, filamentHours);
+  }
+  return (
+    filamentHours + Math.max(...resinItems.map((item) => item.printHours))
+  );
+}
+
+// In per-STL mode the rows are taken to print back to back from the planned
+// start time, which matters for time-of-use energy.
+export function priceProject(items, config) {
+  const resolved = resolveConfig(config);
+  const layout = layoutPlates(items, resolved);
+  const plateRuns = plateRunsByItem(layout);
+  let startOffsetHours = 0;
+  const pricedItems = items.map((item, index) => {
+    const priced = priceResolvedItem(
+      layout ? { ...item, plateRuns: plateRuns.get(index) ?? 0 } : item,
+      { ...resolved, startOffsetHours }
+    );
+    startOffsetHours += priced.error ? 0 : priced.printHours;
+    return priced;
+  });
+  const totals = sumTotals(pricedItems);
+  const perProject = resolved.costMode === "per_project";
+  const printHours = perProject
+    ? projectPrintHours(pricedItems, resolved, layout)
+    : totals.totalPrintHours;
+  const energy = perProject
+    ? resolved.includeEnergy
+      ? energyCostSplit(printHours, resolved)
+      : { cost: 0, split: [] }
+    : {
+        cost: totals.totalEnergyCost,
+        split: mergeEnergySplits(
+          pricedItems.map((item) => item.energySplit ?? [])
+        ),
+      };
+  const energyCost = energy.cost;
+  const machineCost = perProject
+    ? printHours * resolved.machineRate
+    : totals.totalMachineCost;
+  const totalCost = perProject
+    ? totals.totalCost + energyCost + machineCost
+    : totals.totalCost;
+
+  return {
+    items: pricedItems,
+    totals,
+    materials: materialTotals(pricedItems),
+    layout,
+    printHours,
+    energyCost,
+    energySplit: energy.split,
+    machineCost,
+    machineRate: resolved.machineRate,
+    totalCost,
+  };
+}
@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import { priceProject } from "./pricing.js";
+
+const baseConfig = {
+  pricePerLiter: 200,
+  pricePerKg: 25,
+  filamentDensity: 1.24,
+  infillPercent: 20,
+  shellFactor: 0.15,
+  supportPercent: 20,
+  includeSupports: true,
+  printHours: 2,
+  printerPower: 50,
+  energyRate: 0.2,
+};
+
+const filamentItems = [
+  { name: "small.stl", volumeMm3: 10000 },
+  { name: "large.stl", volumeMm3: 20000 },
+];
+
+describe("priceProject", () => {
+  describe("resin", () => {
+    const items = [{ name: "part.stl", volumeMm3: 10000, quantity: 2 }];
+
+    it("prices volume, supports and energy per STL", () => {
+      const result = priceProject(items, {
+        ...baseConfig,
+        printType: "resin",
+        costMode: "per_stl",
+      });
+      const [item] = result.items;
+      expect(item.volumeMl).toBeCloseTo(20);
+      expect(item.supportVolumeMl).toBeCloseTo(4);
+      expect(item.materialCost).toBeCloseTo(4.8);
+      expect(item.printHours).toBeCloseTo(4);
+      expect(item.energyCost).toBeCloseTo(0.04);
+      expect(item.unitCost).toBeCloseTo(2.42);
+      expect(result.totalCost).toBeCloseTo(4.84);
+    });
+
+    it("charges energy once per project", () => {
+      const result = priceProject(items, {
+        ...baseConfig,
+        printType: "resin",
+        costMode: "per_project",
+      });
+      expect(result.items[0].energyCost).toBe(0);
+      expect(result.printHours).toBeCloseTo(2);
+      expect(result.energyCost).toBeCloseTo(0.02);
+      expect(result.totalCost).toBeCloseTo(4.82);
+    });
+  });
+
+  describe("filament", () => {
+    it("prices grams and energy per STL", () => {
+      const result = priceProject(filamentItems, {
+        ...baseConfig,
+        printType: "filament",
+        costMode: "per_stl",
+      });
+      const [small, large] = result.items;
+      expect(small.filamentGrams).toBeCloseTo(4.34);
+      expect(large.filamentGrams).toBeCloseTo(8.68);
+      expect(small.materialCost).toBeCloseTo(0.1085);
+      expect(small.energyCost).toBeCloseTo(0.02);
+      expect(result.totals.totalFilamentGrams).toBeCloseTo(13.02);
+      expect(result.totalCost).toBeCloseTo(0.3655);
+    });
+
+    it("charges energy once per project", () => {
+      const result = priceProject(filamentItems, {
+        ...baseConfig,
+        printType: "filament",
+        costMode: "per_project",
+      });
+      expect(result.items.every((item) => item.energyCost === 0)).toBe(true);
+      expect(result.energyCost).toBeCloseTo(0.02);
+      expect(result.totalCost).toBeCloseTo(0.3455);
+    });
+  });
+
+  describe("sliced files", () => {
+    it("keeps a sliced time of zero hours", () => {
+      const items = [
+        {
+          name: "part.ctb",
+          volumeMm3: 10000,
+          sliced: { printType: "resin", volumeMl: 10, printHours: 0 },
+        },
+      ];
+      const result = priceProject(items, {
+        ...baseConfig,
+        printType: "resin",
+        costMode: "per_project",
+      });
+      expect(result.printHours).toBe(0);
+      expect(result.energyCost).toBe(0);
+    });
+  });
+});
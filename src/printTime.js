@@ -0,0 +1,135 @@
+// Print-time estimates from printer profiles. Resin time depends only on the
+// part height (every layer is exposed at once); FDM time is driven by how
+// much plastic the nozzle has to push. Profiles also carry what the machine
+// costs to run (see machineCostPerHour in pricing.js).
+
+export const defaultPrinterProfile = {
+  layerHeight: 0.05,
+  exposureSeconds: 2.5,
+  bottomExposureSeconds: 30,
+  bottomLayers: 5,
+  liftDistance: 6,
+  liftSpeed: 60,
+  retractSpeed: 150,
+  flowRate: 8,
+  buildWidth: 218,
+  buildDepth: 123,
+  buildHeight: 250,
+  powerWatts: 50,
+  purchasePrice: 0,
+  lifetimeHours: 5000,
+  // { name, cost, intervalHours }, e.g. FEP film, LCD screen or nozzle.
+  consumables: [],
+};
+
+// FDM moves, retractions and acceleration on top of pure extrusion time.
+const FDM_OVERHEAD_FACTOR = 1.25;
+
+export function profileFromPrinterDocument(document) {
+  const pick = (value, fallback) =>
+    value === undefined || value === null || value === ""
+      ? fallback
+      : Number(value);
+  return {
+    layerHeight: pick(document?.layer_height, defaultPrinterProfile.layerHeight),
+    exposureSeconds: pick(
+      document?.exposure_seconds,
+      defaultPrinterProfile.exposureSeconds
+    ),
+    bottomExposureSeconds: pick(
+      document?.bottom_exposure_seconds,
+      defaultPrinterProfile.bottomExposureSeconds
+    ),
+    bottomLayers: pick(
+      document?.bottom_layers,
+      defaultPrinterProfile.bottomLayers
+    ),
+    liftDistance: pick(
+      document?.lift_distance,
+      defaultPrinterProfile.liftDistance
+    ),
+    liftSpeed: pick(document?.lift_speed, defaultPrinterProfile.liftSpeed),
+    retractSpeed: pick(
+      document?.retract_speed,
+      defaultPrinterProfile.retractSpeed
+    ),
+    flowRate: pick(document?.flow_rate, defaultPrinterProfile.flowRate),
+    buildWidth: pick(document?.build_width, defaultPrinterProfile.buildWidth),
+    buildDepth: pick(document?.build_depth, defaultPrinterProfile.buildDepth),
+    buildHeight: pick(document?.build_height, defaultPrinterProfile.buildHeight),
+    powerWatts: pick(document?.power_watts, defaultPrinterProfile.powerWatts),
+    purchasePrice: pick(
+      document?.purchase_price,
+      defaultPrinterProfile.purchasePrice
+    ),
+    lifetimeHours: pick(
+      document?.lifetime_hours,
+      defaultPrinterProfile.lifetimeHours
+    ),
+    consumables: parseConsumables(document?.consumables),
+  };
+}
+
+function parseConsumables(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export function printerDocumentFields(profile) {
+  return {
+    layer_height: profile.layerHeight,
+    exposure_seconds: profile.exposureSeconds,
+    bottom_exposure_seconds: profile.bottomExposureSeconds,
+    bottom_layers: profile.bottomLayers,
+    lift_distance: profile.liftDistance,
+    lift_speed: profile.liftSpeed,
+    retract_speed: profile.retractSpeed,
+    flow_rate: profile.flowRate,
+    build_width: profile.buildWidth,
+    build_depth: profile.buildDepth,
+    build_height: profile.buildHeight,
+    power_watts: profile.powerWatts,
+    purchase_price: profile.purchasePrice,
+    lifetime_hours: profile.lifetimeHours,
+    consumables: JSON.stringify(profile.consumables ?? []),
+  };
+}
+
+export function resinLayerCount(heightMm, profile) {
+  const layerHeight = Math.max(profile.layerHeight, 0.001);
+  return Math.ceil(Math.max(heightMm, 0) / layerHeight);
+}
+
+// Speeds are in mm/min, as printer firmware and slicers usually show them.
+export function estimateResinHours(heightMm, profile = defaultPrinterProfile) {
+  const layers = resinLayerCount(heightMm, profile);
+  const bottomLayers = Math.min(Math.max(profile.bottomLayers, 0), layers);
+  const liftSeconds =
+    profile.liftSpeed > 0 ? (profile.liftDistance / profile.liftSpeed) * 60 : 0;
+  const retractSeconds =
+    profile.retractSpeed > 0
+      ? (profile.liftDistance / profile.retractSpeed) * 60
+      : 0;
+  const seconds =
+    bottomLayers * Math.max(profile.bottomExposureSeconds, 0) +
+    (layers - bottomLayers) * Math.max(profile.exposureSeconds, 0) +
+    layers * (liftSeconds + retractSeconds);
+  return seconds / 3600;
+}
+
+// Flow rate is the printer's sustained volumetric rate in mm³/s.
+export function estimateFdmHours(
+  extrudedVolumeMm3,
+  profile = defaultPrinterProfile
+) {
+  if (!(profile.flowRate > 0)) return 0;
+  return (
+    ((Math.max(extrudedVolumeMm3, 0) / profile.flowRate) *
+      FDM_OVERHEAD_FACTOR) /
+    3600
+  );
+}
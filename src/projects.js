@@ -0,0 +1,90 @@
+// Saved projects. Everything needed to reprice an estimate lives in the
+// `settings` JSON string; the headline totals are stored as plain numbers so
+// the project list can show them without recalculating.
+
+export const projectSettingKeys = [
+  "location",
+  "printer",
+  "resin",
+  "selectedResinId",
+  "selectedFilamentId",
+  "printType",
+  "pricePerLiter",
+  "pricePerKg",
+  "filamentDensity",
+  "infillPercent",
+  "shellFactor",
+  "fdmSettings",
+  "supportPercent",
+  "includeSupports",
+  "supportMode",
+  "supportSettings",
+  "hollowSettings",
+  "buildAxis",
+  "energyRate",
+  "printerPower",
+  "printHours",
+  "timeMode",
+  "printerProfile",
+  "includeEnergy",
+  "tariffSettings",
+  "costMode",
+  "costingMethod",
+  "materialPrices",
+  "inputMode",
+  "manualName",
+  "manualResinMl",
+  "manualFilamentGrams",
+  "itemSettings",
+  "quoteSettings",
+];
+
+export function projectDocumentFields({ name, settings, pricing, fileIds }) {
+  return {
+    name,
+    location: settings.location ?? "",
+    printer: settings.printer ?? "",
+    material:
+      settings.printType === "resin" ? settings.resin ?? "" : "Filament",
+    print_type: settings.printType,
+    settings: JSON.stringify(settings),
+    upload_file_ids: fileIds,
+    item_count: pricing.totals.totalCopies,
+    total_volume_ml: pricing.totals.totalVolumeMl,
+    total_filament_grams: pricing.totals.totalFilamentGrams,
+    print_hours: pricing.printHours,
+    total_cost: pricing.totalCost,
+  };
+}
+
+// Unknown keys are dropped so an old or hand-edited document can't push
+// arbitrary values into the form.
+export function projectSettingsFromDocument(document) {
+  let parsed = {};
+  try {
+    parsed = JSON.parse(document?.settings || "{}");
+  } catch (error) {
+    parsed = {};
+  }
+  return Object.fromEntries(
+    projectSettingKeys
+      .filter((key) => parsed[key] !== undefined)
+      .map((key) => [key, parsed[key]])
+  );
+}
+
+// Prices saved with a project (`materialPrices`, per liter or kg by library
+// key) win over live stock, so reopening an estimate reproduces its quote.
+export function projectMaterialPrice(savedPrices, materialKey, livePrice) {
+  const saved = savedPrices?.[materialKey];
+  return Number.isFinite(saved) ? saved : livePrice;
+}
+
+export function duplicateProjectName(name, existingNames) {
+  const base = `${name} (copy)`;
+  let candidate = base;
+  for (let index = 2; existingNames.includes(candidate); index += 1) {
+    candidate = `${base.slice(0, -1)} ${index})`;
+  }
+  return candidate;
+}
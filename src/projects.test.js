@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import {
+  projectDocumentFields,
+  projectMaterialPrice,
+  projectSettingsFromDocument,
+} from "./projects.js";
+
+const pricing = {
+  totals: { totalCopies: 1, totalVolumeMl: 24, totalFilamentGrams: 0 },
+  printHours: 2,
+  totalCost: 4.84,
+};
+
+describe("saved projects", () => {
+  it("keeps a pinned material price after reopening", () => {
+    const fields = projectDocumentFields({
+      name: "Bracket",
+      settings: {
+        printType: "resin",
+        selectedResinId: "abc",
+        pricePerLiter: 200,
+        materialPrices: { "resin:abc": 200 },
+      },
+      pricing,
+      fileIds: [],
+    });
+    const settings = projectSettingsFromDocument({ ...fields, $id: "p1" });
+
+    expect(settings.selectedResinId).toBe("abc");
+    // Stock has since moved on to a dearer batch.
+    expect(
+      projectMaterialPrice(settings.materialPrices, "resin:abc", 260)
+    ).toBe(200);
+    expect(
+      projectMaterialPrice(settings.materialPrices, "resin:other", 260)
+    ).toBe(260);
+  });
+});
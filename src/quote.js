@@ -0,0 +1,115 @@
+// Customer quote on top of a priced project (see pricing.js). Each line is
+// production cost plus a failure buffer and post-processing labour, grossed up
+// to the profit margin; shipping, minimum order and sales tax apply to the
+// order as a whole.
+
+export const taxRegions = [
+  { id: "none", label: "No sales tax", rate: 0 },
+  { id: "ca-on", label: "Ontario (HST 13%)", rate: 13 },
+  { id: "ca-qc", label: "Quebec (GST + QST 14.975%)", rate: 14.975 },
+  { id: "ca-bc", label: "British Columbia (GST + PST 12%)", rate: 12 },
+  { id: "ca-ab", label: "Alberta (GST 5%)", rate: 5 },
+  { id: "ca-ns", label: "Nova Scotia (HST 14%)", rate: 14 },
+  { id: "custom", label: "Custom rate", rate: null },
+];
+
+export const defaultQuoteSettings = {
+  customerName: "",
+  marginPercent: 30,
+  laborRate: 25,
+  laborMinutesPerPart: 10,
+  failureRatePercent: 5,
+  shipping: 0,
+  minimumOrder: 0,
+  taxRegion: "none",
+  customTaxPercent: 0,
+};
+
+export function taxRatePercent(settings) {
+  const region = taxRegions.find((item) => item.id === settings.taxRegion);
+  if (!region) return 0;
+  return region.rate ?? Math.max(settings.customTaxPercent, 0);
+}
+
+function withMargin(cost, marginPercent) {
+  const margin = Math.min(Math.max(marginPercent, 0), 95) / 100;
+  return cost / (1 - margin);
+}
+
+function quoteLine({ name, quantity, productionCost }, settings) {
+  const failureCost =
+    productionCost * (Math.max(settings.failureRatePercent, 0) / 100);
+  const laborCost =
+    (Math.max(settings.laborMinutesPerPart, 0) / 60) *
+    Math.max(settings.laborRate, 0) *
+    quantity;
+  const cost = productionCost + failureCost + laborCost;
+  const total = withMargin(cost, settings.marginPercent);
+  return {
+    name,
+    quantity,
+    productionCost,
+    failureCost,
+    laborCost,
+    cost,
+    total,
+    unitPrice: quantity > 0 ? total / quantity : total,
+  };
+}
+
+export function buildQuote(pricing, quoteSettings) {
+  const settings = { ...defaultQuoteSettings, ...quoteSettings };
+  const lines = pricing.items
+    .filter((item) => !item.error)
+    .map((item) =>
+      quoteLine(
+        {
+          name: item.name,
+          quantity: item.quantity ?? 1,
+          productionCost: item.cost,
+        },
+        settings
+      )
+    );
+
+  // Per-project energy and machine time aren't attached to any STL, so they
+  // get their own lines.
+  const projectCosts = [
+    ["Energy", pricing.energyCost - pricing.totals.totalEnergyCost],
+    [
+      "Machine time",
+      (pricing.machineCost ?? 0) - (pricing.totals.totalMachineCost ?? 0),
+    ],
+  ];
+  for (const [name, productionCost] of projectCosts) {
+    if (productionCost > 0) {
+      lines.push(
+        quoteLine(
+          { name, quantity: 0, productionCost },
+          { ...settings, laborMinutesPerPart: 0 }
+        )
+      );
+    }
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+  const minimumAdjustment =
+    lines.length > 0 ? Math.max(settings.minimumOrder - subtotal, 0) : 0;
+  const shipping = lines.length > 0 ? Math.max(settings.shipping, 0) : 0;
+  const taxRate = taxRatePercent(settings);
+  const taxableTotal = subtotal + minimumAdjustment + shipping;
+  const tax = taxableTotal * (taxRate / 100);
+  const cost = lines.reduce((sum, line) => sum + line.cost, 0);
+
+  return {
+    customerName: settings.customerName,
+    lines,
+    subtotal,
+    minimumAdjustment,
+    shipping,
+    taxRate,
+    tax,
+    grandTotal: taxableTotal + tax,
+    profit: subtotal + minimumAdjustment - cost,
+  };
+}
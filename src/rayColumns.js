@@ -0,0 +1,67 @@
+// Ray casting shared by hollowing and the wall-thickness heatmap: a grid of
+// parallel rays along one axis, each reporting where it crosses the mesh.
+// Triangles are flat arrays of 9 numbers per face, already scaled to mm.
+
+export function scaledTrianglePoints(geometry, scale) {
+  const position = geometry.getAttribute("position");
+  const index = geometry.getIndex();
+  const count = Math.floor((index ? index.count : position.count) / 3);
+  const corner = (i) => (index ? index.getX(i) : i);
+  const points = new Float32Array(count * 9);
+  for (let i = 0; i < count * 3; i += 1) {
+    const vertex = corner(i);
+    points[i * 3] = position.getX(vertex) * scale[0];
+    points[i * 3 + 1] = position.getY(vertex) * scale[1];
+    points[i * 3 + 2] = position.getZ(vertex) * scale[2];
+  }
+  return points;
+}
+
+// Casts one ray through the centre of every `step` sized cell of a grid of
+// `columns` = [nu, nv] cells over the two other axes (in x, y, z order),
+// starting at `origin`. Calls onHit(column, depth, face) for every crossing,
+// with column = u + nu * v and depth measured from origin along `axis`.
+export function castColumns(points, axis, origin, step, columns, onHit) {
+  const [u, v] = [0, 1, 2].filter((item) => item !== axis);
+  const [nu, nv] = columns;
+  // Nudging the rays off the exact cell centres keeps them from running
+  // through shared triangle edges and counting a crossing twice.
+  const jitterU = step * 1e-4;
+  const jitterV = step * 2e-4;
+
+  for (let face = 0; face * 9 < points.length; face += 1) {
+    const p = points.subarray(face * 9, face * 9 + 9);
+    const corners = [0, 3, 6].map((k) => [
+      p[k + u] - origin[u],
+      p[k + v] - origin[v],
+      p[k + axis] - origin[axis],
+    ]);
+    const [a, b, c] = corners;
+    const area =
+      (b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1]);
+    if (area === 0) continue;
+
+    // One spare cell each side; the barycentric test below has the final
+    // say, so rounding at the edges can't drop a hit.
+    const us = corners.map((point) => point[0]);
+    const vs = corners.map((point) => point[1]);
+    const fromU = Math.max(Math.ceil(Math.min(...us) / step - 1.5), 0);
+    const toU = Math.min(Math.floor(Math.max(...us) / step + 0.5), nu - 1);
+    const fromV = Math.max(Math.ceil(Math.min(...vs) / step - 1.5), 0);
+    const toV = Math.min(Math.floor(Math.max(...vs) / step + 0.5), nv - 1);
+
+    for (let i = fromU; i <= toU; i += 1) {
+      const pu = (i + 0.5) * step + jitterU;
+      for (let j = fromV; j <= toV; j += 1) {
+        const pv = (j + 0.5) * step + jitterV;
+        const wa =
+          ((b[0] - pu) * (c[1] - pv) - (c[0] - pu) * (b[1] - pv)) / area;
+        const wb =
+          ((c[0] - pu) * (a[1] - pv) - (a[0] - pu) * (c[1] - pv)) / area;
+        const wc = 1 - wa - wb;
+        if (wa < 0 || wb < 0 || wc < 0) continue;
+        onHit(i + nu * j, wa * a[2] + wb * b[2] + wc * c[2], face);
+      }
+    }
+  }
+}
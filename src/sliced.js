@@ -0,0 +1,220 @@
+// Sliced files: material, print time and layer count read straight from the
+// slicer's output instead of estimated from a mesh. FDM G-code carries them in
+// comments; resin slice files in their header (Chitubox .ctb, Anycubic .pwmx)
+// or in config.ini (Prusa .sl1/.sl1s, which are zip archives).
+//
+// Every parser returns { printType, slicer, layerCount, printHours } plus
+// `volumeMl` for resin, and `filamentGrams` and/or `extrudedMm3` for FDM.
+
+import { unzipSync, strFromU8 } from "three/examples/jsm/libs/fflate.module.js";
+import { fileExtension } from "./loaders.js";
+
+const gcodeExtensions = [".gcode", ".gco", ".g"];
+const CTB_MAGICS = [0x12fd0019, 0x12fd0086];
+const CTB_ENCRYPTED_MAGIC = 0x12fd0107;
+const DEFAULT_FILAMENT_DIAMETER = 1.75;
+
+export const slicedExtensions = [
+  ...gcodeExtensions,
+  ".sl1",
+  ".sl1s",
+  ".ctb",
+  ".pwmx",
+];
+
+export function isSlicedFile(fileName) {
+  return slicedExtensions.includes(fileExtension(fileName));
+}
+
+// "1d 2h 3m 4s", "2h 5m", "45m 10s" or "1 hours 2 minutes" to hours.
+export function parseDuration(text) {
+  const units = { d: 24, h: 1, m: 1 / 60, s: 1 / 3600 };
+  let hours = 0;
+  let matched = false;
+  for (const [, value, unit] of text.matchAll(
+    /(\d+(?:\.\d+)?)\s*(d|h|m|s)[a-z]*/gi
+  )) {
+    hours += Number(value) * units[unit.toLowerCase()];
+    matched = true;
+  }
+  return matched ? hours : null;
+}
+
+// Multi-extruder jobs list one value per tool: "1.23, 0.00, 4.56".
+function sumList(text) {
+  const values = text
+    .split(/[,;]/)
+    .map((value) => parseFloat(value))
+    .filter((value) => Number.isFinite(value));
+  return values.length ? values.reduce((sum, value) => sum + value, 0) : null;
+}
+
+function commentValue(text, pattern) {
+  const match = text.match(pattern);
+  return match ? match[1].trim() : null;
+}
+
+function detectSlicer(text) {
+  const header = text.slice(0, 4096);
+  if (/PrusaSlicer/i.test(header)) return "PrusaSlicer";
+  if (/OrcaSlicer/i.test(header)) return "OrcaSlicer";
+  if (/BambuStudio/i.test(header)) return "Bambu Studio";
+  if (/SuperSlicer/i.test(header)) return "SuperSlicer";
+  if (/Cura/i.test(header)) return "Cura";
+  if (/Simplify3D/i.test(header)) return "Simplify3D";
+  return "G-code";
+}
+
+export function parseGcode(text) {
+  const grams =
+    commentValue(
+      text,
+      /^;\s*total filament (?:used|weight) \[g\]\s*[=:]\s*(.+)$/m
+    ) ??
+    commentValue(text, /^;\s*filament used \[g\]\s*[=:]\s*(.+)$/m) ??
+    commentValue(text, /^;\s*Plastic weights?:\s*(.+)$/im);
+  const cm3 = commentValue(text, /^;\s*filament used \[cm3\]\s*[=:]\s*(.+)$/m);
+  const mm = commentValue(text, /^;\s*filament used \[mm\]\s*[=:]\s*(.+)$/m);
+  const curaMetres = commentValue(text, /^;Filament used:\s*(.+)$/m);
+  const s3dMm = commentValue(text, /^;\s*Filament length:\s*(.+)$/im);
+  const diameter =
+    parseFloat(commentValue(text, /^;\s*filament_diameter\s*=\s*(.+)$/m)) ||
+    DEFAULT_FILAMENT_DIAMETER;
+
+  const lengthMm =
+    mm != null
+      ? sumList(mm)
+      : curaMetres != null
+        ? sumList(curaMetres.replace(/m/g, "")) * 1000
+        : s3dMm != null
+          ? sumList(s3dMm)
+          : null;
+  const extrudedMm3 =
+    cm3 != null
+      ? sumList(cm3) * 1000
+      : lengthMm != null
+        ? lengthMm * Math.PI * (diameter / 2) ** 2
+        : null;
+
+  const curaSeconds = commentValue(text, /^;TIME:\s*(\d+(?:\.\d+)?)/m);
+  const durationText =
+    commentValue(text, /total estimated time:\s*([^;\n]+)/m) ??
+    commentValue(
+      text,
+      /^;\s*estimated printing time(?: \(normal mode\))?\s*[=:]\s*(.+)$/m
+    ) ??
+    commentValue(text, /^;\s*Build time:\s*(.+)$/im);
+  const printHours =
+    curaSeconds != null
+      ? Number(curaSeconds) / 3600
+      : durationText != null
+        ? parseDuration(durationText)
+        : null;
+
+  const declaredLayers =
+    commentValue(text, /^;LAYER_COUNT:\s*(\d+)/m) ??
+    commentValue(text, /^;\s*total layers? (?:number|count)\s*[=:]\s*(\d+)/m);
+  const layerCount =
+    declaredLayers != null
+      ? Number(declaredLayers)
+      : (text.match(/^;LAYER_CHANGE/gm) ?? text.match(/^;LAYER:\d+/gm) ?? [])
+          .length || null;
+
+  const filamentGrams = grams != null ? sumList(grams) : null;
+  if (filamentGrams == null && extrudedMm3 == null) {
+    throw new Error("No filament usage found in the G-code comments.");
+  }
+  return {
+    printType: "filament",
+    slicer: detectSlicer(text),
+    filamentGrams,
+    extrudedMm3,
+    printHours,
+    layerCount,
+  };
+}
+
+function iniValue(text, key) {
+  const match = text.match(new RegExp(`^${key}\\s*=\\s*(.+)$`, "m"));
+  return match ? parseFloat(match[1]) : null;
+}
+
+export function parseSl1(buffer) {
+  const zip = unzipSync(new Uint8Array(buffer), {
+    filter: (file) => file.name === "config.ini",
+  });
+  if (!zip["config.ini"]) throw new Error("Slice file has no config.ini.");
+  const config = strFromU8(zip["config.ini"]);
+  const volumeMl = iniValue(config, "usedMaterial");
+  if (volumeMl == null) throw new Error("Slice file has no material usage.");
+  const seconds = iniValue(config, "printTime");
+  const layers =
+    (iniValue(config, "numFast") ?? 0) + (iniValue(config, "numSlow") ?? 0);
+  return {
+    printType: "resin",
+    slicer: "PrusaSlicer",
+    volumeMl,
+    printHours: seconds != null ? seconds / 3600 : null,
+    layerCount: layers || null,
+  };
+}
+
+// Header layouts as documented by UVtools; all values are little-endian.
+export function parseCtb(buffer) {
+  const view = new DataView(buffer);
+  const magic = view.getUint32(0, true);
+  if (magic === CTB_ENCRYPTED_MAGIC) {
+    throw new Error("Encrypted CTB files (v4 and later) can't be read.");
+  }
+  if (!CTB_MAGICS.includes(magic)) throw new Error("Not a Chitubox file.");
+  const parametersOffset = view.getUint32(84, true);
+  if (!parametersOffset || parametersOffset + 28 > buffer.byteLength) {
+    throw new Error("Slice file has no material usage.");
+  }
+  return {
+    printType: "resin",
+    slicer: "Chitubox",
+    volumeMl: view.getFloat32(parametersOffset + 20, true),
+    printHours: view.getUint32(76, true) / 3600,
+    layerCount: view.getUint32(68, true),
+  };
+}
+
+export function parsePwmx(buffer) {
+  const view = new DataView(buffer);
+  const mark = strFromU8(new Uint8Array(buffer, 0, 8));
+  if (mark !== "ANYCUBIC") throw new Error("Not a Photon Workshop file.");
+  const header = view.getUint32(20, true) + 16;
+  const layers = view.getUint32(36, true) + 16;
+  if (header + 88 > buffer.byteLength || layers + 4 > buffer.byteLength) {
+    throw new Error("Slice file header is truncated.");
+  }
+  return {
+    printType: "resin",
+    slicer: "Photon Workshop",
+    volumeMl: view.getFloat32(header + 36, true),
+    printHours: view.getUint32(header + 68, true) / 3600,
+    layerCount: view.getUint32(layers, true),
+  };
+}
+
+export function parseSlicedFile(buffer, fileName) {
+  const extension = fileExtension(fileName);
+  const parsed = gcodeExtensions.includes(extension)
+    ? parseGcode(new TextDecoder().decode(buffer))
+    : extension === ".sl1" || extension === ".sl1s"
+      ? parseSl1(buffer)
+      : extension === ".ctb"
+        ? parseCtb(buffer)
+        : extension === ".pwmx"
+          ? parsePwmx(buffer)
+          : null;
+  if (!parsed) throw new Error("Unsupported slice file.");
+  if (
+    parsed.volumeMl !== undefined &&
+    !(Number.isFinite(parsed.volumeMl) && parsed.volumeMl >= 0)
+  ) {
+    throw new Error("Slice file reports an invalid material volume.");
+  }
+  return parsed;
+}
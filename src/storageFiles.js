@@ -0,0 +1,26 @@
+// Downloads a file from Appwrite storage. The v15 SDK only builds the download
+// URL (getFileDownload), so the request itself is made here, relying on the
+// session cookie like an ordinary link would.
+//
+// When the browser blocks that cookie (the Appwrite endpoint is on another
+// domain), the SDK keeps the session in localStorage under "cookieFallback"
+// and sends it as the X-Fallback-Cookies header on its own calls. That key and
+// header are SDK internals, so they are only used to retry a download the
+// plain request was refused.
+export async function downloadStorageFile(storage, bucketId, fileId) {
+  const url = storage.getFileDownload(bucketId, fileId);
+  let response = await fetch(url, { credentials: "include" });
+  const fallbackCookies =
+    response.status === 401 &&
+    window.localStorage?.getItem("cookieFallback");
+  if (fallbackCookies) {
+    response = await fetch(url, {
+      credentials: "include",
+      headers: { "X-Fallback-Cookies": fallbackCookies },
+    });
+  }
+  if (!response.ok) {
+    throw new Error(`Download failed (${response.status}).`);
+  }
+  return response.blob();
+}
@@ -0,0 +1,97 @@
+// Geometry-based resin support estimate. Faces that overhang past the chosen
+// angle (measured from vertical) need supports; each support is modelled as a
+// shaft from the build plate up to the face plus a tapered tip at the contact.
+
+const SHAFT_TO_TIP_RATIO = 2.5;
+const TIP_LENGTH_MM = 2;
+const PLATE_CONTACT_TOLERANCE_MM = 0.1;
+
+export const buildAxes = {
+  "+z": [0, 0, 1],
+  "-z": [0, 0, -1],
+  "+y": [0, 1, 0],
+  "-y": [0, -1, 0],
+  "+x": [1, 0, 0],
+  "-x": [-1, 0, 0],
+};
+
+export const defaultSupportSettings = {
+  overhangAngle: 45,
+  tipDiameter: 0.4,
+  densityPerCm2: 4,
+  liftHeight: 5,
+};
+
+export function estimateSupports(geometry, options = {}) {
+  const { overhangAngle, tipDiameter, densityPerCm2, liftHeight } = {
+    ...defaultSupportSettings,
+    ...options,
+  };
+  const [ux, uy, uz] = options.up ?? buildAxes["+z"];
+  const [sx, sy, sz] = options.scale ?? [1, 1, 1];
+  const position = geometry.getAttribute("position");
+  const result = { supportedAreaMm2: 0, tipCount: 0, supportVolumeMm3: 0 };
+  if (!position) return result;
+
+  const index = geometry.getIndex();
+  const count = index ? index.count : position.count;
+  const corner = (i) => (index ? index.getX(i) : i);
+  const height = (i) =>
+    position.getX(i) * sx * ux +
+    position.getY(i) * sy * uy +
+    position.getZ(i) * sz * uz;
+
+  let minHeight = Infinity;
+  for (let i = 0; i < position.count; i += 1) {
+    minHeight = Math.min(minHeight, height(i));
+  }
+
+  const threshold = Math.sin((Math.max(overhangAngle, 0) * Math.PI) / 180);
+  const tipsPerMm2 = Math.max(densityPerCm2, 0) / 100;
+  const tipRadius = Math.max(tipDiameter, 0) / 2;
+  const shaftRadius = tipRadius * SHAFT_TO_TIP_RATIO;
+  const tipVolume =
+    (Math.PI *
+      TIP_LENGTH_MM *
+      (shaftRadius * shaftRadius +
+        shaftRadius * tipRadius +
+        tipRadius * tipRadius)) /
+    3;
+  const shaftArea = Math.PI * shaftRadius * shaftRadius;
+
+  for (let i = 0; i < count; i += 3) {
+    const a = corner(i);
+    const b = corner(i + 1);
+    const c = corner(i + 2);
+    const ax = position.getX(a) * sx;
+    const ay = position.getY(a) * sy;
+    const az = position.getZ(a) * sz;
+    const e1x = position.getX(b) * sx - ax;
+    const e1y = position.getY(b) * sy - ay;
+    const e1z = position.getZ(b) * sz - az;
+    const e2x = position.getX(c) * sx - ax;
+    const e2y = position.getY(c) * sy - ay;
+    const e2z = position.getZ(c) * sz - az;
+    const nx = e1y * e2z - e1z * e2y;
+    const ny = e1z * e2x - e1x * e2z;
+    const nz = e1x * e2y - e1y * e2x;
+    const doubleArea = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (doubleArea === 0) continue;
+
+    const downness = -(nx * ux + ny * uy + nz * uz) / doubleArea;
+    if (downness <= threshold) continue;
+
+    const faceHeight = (height(a) + height(b) + height(c)) / 3 - minHeight;
+    if (faceHeight < PLATE_CONTACT_TOLERANCE_MM) continue;
+
+    const projectedArea = (doubleArea / 2) * downness;
+    const tips = projectedArea * tipsPerMm2;
+    result.supportedAreaMm2 += projectedArea;
+    result.tipCount += tips;
+    result.supportVolumeMm3 +=
+      tips * (shaftArea * (faceHeight + liftHeight) + tipVolume);
+  }
+
+  result.tipCount = Math.round(result.tipCount);
+  return result;
+}
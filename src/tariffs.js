@@ -0,0 +1,156 @@
+// Time-of-use electricity tariffs. A schedule is a list of periods
+// ({ name, days: "weekday" | "weekend", from, to, rate }) on whole local
+// hours; the first matching period sets the rate per kWh, and hours no period
+// covers fall back to the flat energy rate.
+
+export const tariffPresets = [
+  { id: "flat", label: "Flat rate" },
+  {
+    id: "ontario-tou",
+    label: "Ontario time-of-use (CAD)",
+    periods: [
+      { name: "Off-peak", days: "weekend", from: 0, to: 24, rate: 0.098 },
+      { name: "Off-peak", days: "weekday", from: 0, to: 7, rate: 0.098 },
+      { name: "Mid-peak", days: "weekday", from: 7, to: 11, rate: 0.157 },
+      { name: "On-peak", days: "weekday", from: 11, to: 17, rate: 0.203 },
+      { name: "Mid-peak", days: "weekday", from: 17, to: 19, rate: 0.157 },
+      { name: "Off-peak", days: "weekday", from: 19, to: 24, rate: 0.098 },
+    ],
+  },
+  { id: "custom", label: "Custom peak / off-peak" },
+];
+
+export const defaultTariffSettings = {
+  preset: "flat",
+  startTime: "",
+  peakFrom: 16,
+  peakTo: 21,
+  peakRate: 0.3,
+  offPeakRate: 0.1,
+  weekendRate: 0.08,
+};
+
+// A peak window that crosses midnight (from later than to, e.g. 22 to 6)
+// becomes two periods: to midnight and from midnight.
+export function customTariffPeriods(settings) {
+  const peak = (from, to) => ({
+    name: "Peak",
+    days: "weekday",
+    from,
+    to,
+    rate: settings.peakRate,
+  });
+  const peakPeriods =
+    settings.peakFrom > settings.peakTo
+      ? [peak(settings.peakFrom, 24), peak(0, settings.peakTo)]
+      : [peak(settings.peakFrom, settings.peakTo)];
+  return [
+    {
+      name: "Weekend",
+      days: "weekend",
+      from: 0,
+      to: 24,
+      rate: settings.weekendRate,
+    },
+    ...peakPeriods,
+    {
+      name: "Off-peak",
+      days: "weekday",
+      from: 0,
+      to: 24,
+      rate: settings.offPeakRate,
+    },
+  ];
+}
+
+// Null means the flat energy rate applies.
+export function tariffPeriods(settings) {
+  if (settings.preset === "custom") return customTariffPeriods(settings);
+  return (
+    tariffPresets.find((preset) => preset.id === settings.preset)?.periods ??
+    null
+  );
+}
+
+export function rateAt(date, periods, fallbackRate) {
+  const day = date.getDay();
+  const days = day === 0 || day === 6 ? "weekend" : "weekday";
+  const hour = date.getHours();
+  const period = periods.find(
+    (item) => item.days === days && hour >= item.from && hour < item.to
+  );
+  return period
+    ? { name: period.name, rate: Math.max(period.rate, 0) }
+    : { name: "Standard", rate: Math.max(fallbackRate, 0) };
+}
+
+// Walks the print window hour boundary by hour boundary and returns the total
+// energy cost with hours and cost per tariff period.
+export function splitEnergyCost({
+  start,
+  hours,
+  powerWatts,
+  periods,
+  fallbackRate,
+}) {
+  const kilowatts = Math.max(powerWatts, 0) / 1000;
+  const byPeriod = new Map();
+  let cursor = new Date(start).getTime();
+  let left = Math.max(hours, 0);
+  let cost = 0;
+
+  while (left > 1e-9) {
+    const date = new Date(cursor);
+    const nextHour = new Date(cursor);
+    nextHour.setMinutes(60, 0, 0);
+    const stepHours = Math.min(left, (nextHour.getTime() - cursor) / 3.6e6);
+    const { name, rate } = rateAt(date, periods, fallbackRate);
+    const stepCost = kilowatts * stepHours * rate;
+    const entry = byPeriod.get(name) ?? { name, hours: 0, cost: 0 };
+    entry.hours += stepHours;
+    entry.cost += stepCost;
+    byPeriod.set(name, entry);
+    cost += stepCost;
+    cursor += stepHours * 3.6e6;
+    left -= stepHours;
+  }
+
+  return { cost, split: [...byPeriod.values()] };
+}
+
+export function mergeEnergySplits(splits) {
+  const byPeriod = new Map();
+  for (const entry of splits.flat()) {
+    const merged = byPeriod.get(entry.name) ?? {
+      name: entry.name,
+      hours: 0,
+      cost: 0,
+    };
+    merged.hours += entry.hours;
+    merged.cost += entry.cost;
+    byPeriod.set(entry.name, merged);
+  }
+  return [...byPeriod.values()];
+}
+
+// Schedules saved per location live under the `tariffs` account pref, keyed
+// by the normalised location name. The planned start belongs to the job, not
+// the schedule, so it isn't stored there.
+export function tariffLocationKey(location) {
+  return location.trim().toLowerCase();
+}
+
+export function savedLocationTariff(prefs, location) {
+  if (!location.trim()) return null;
+  return prefs?.tariffs?.[tariffLocationKey(location)] ?? null;
+}
+
+export function locationTariffPrefs(prefs, location, settings) {
+  const { startTime, ...schedule } = settings;
+  return {
+    tariffs: {
+      ...(prefs?.tariffs ?? {}),
+      [tariffLocationKey(location)]: schedule,
+    },
+  };
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import {
+  customTariffPeriods,
+  defaultTariffSettings,
+  rateAt,
+} from "./tariffs.js";
+
+// 2024-01-03 is a Wednesday.
+const weekdayAt = (hour) => new Date(2024, 0, 3, hour, 30);
+
+describe("customTariffPeriods", () => {
+  it("bills the peak window", () => {
+    const periods = customTariffPeriods(defaultTariffSettings);
+    expect(rateAt(weekdayAt(17), periods, 0).name).toBe("Peak");
+    expect(rateAt(weekdayAt(22), periods, 0).name).toBe("Off-peak");
+  });
+
+  it("handles a peak window that crosses midnight", () => {
+    const periods = customTariffPeriods({
+      ...defaultTariffSettings,
+      peakFrom: 22,
+      peakTo: 6,
+    });
+    expect(rateAt(weekdayAt(23), periods, 0)).toEqual({
+      name: "Peak",
+      rate: defaultTariffSettings.peakRate,
+    });
+    expect(rateAt(weekdayAt(2), periods, 0).name).toBe("Peak");
+    expect(rateAt(weekdayAt(6), periods, 0).name).toBe("Off-peak");
+    expect(rateAt(weekdayAt(12), periods, 0).name).toBe("Off-peak");
+  });
+});